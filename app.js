@@ -59,6 +59,71 @@ function extractTrailingNumber(str) {
   return Number.isNaN(num) ? null : num;
 }
 
+// Цветовой префикс title вида "C07/512".
+function formatColorCode(satCode, briCode) {
+  const sat = String(satCode).padStart(2, "0");
+  const bri = String(briCode).padStart(3, "0");
+  return `C${sat}/${bri}`;
+}
+
+function stripColorCode(title) {
+  return title.replace(/^C\d{2}\/\d{3}\s+/, "");
+}
+
+function stripExtension(name) {
+  return name.replace(/\.[^./]+$/, "");
+}
+
+function compareDigitRuns(a, b) {
+  const na = a.replace(/^0+(?=\d)/, "");
+  const nb = b.replace(/^0+(?=\d)/, "");
+  if (na.length !== nb.length) return na.length - nb.length;
+  if (na !== nb) return na < nb ? -1 : 1;
+  return 0;
+}
+
+/**
+ * Натуральный порядок: строки режутся на куски «цифры / не цифры», куски
+ * сравниваются по очереди (числа — как числа), поэтому shot_2_take_10 <
+ * shot_10_take_2 и v2_frame_001 < v10_frame_001.
+ * options: { ignoreCase = true, ignoreExtension = false }.
+ */
+function compareNaturalNames(a, b, options = {}) {
+  const { ignoreCase = true, ignoreExtension = false } = options;
+  let sa = ignoreExtension ? stripExtension(a) : a;
+  let sb = ignoreExtension ? stripExtension(b) : b;
+  if (ignoreCase) {
+    sa = sa.toLowerCase();
+    sb = sb.toLowerCase();
+  }
+
+  const ca = sa.match(/\d+|\D+/g) || [];
+  const cb = sb.match(/\d+|\D+/g) || [];
+  const n = Math.min(ca.length, cb.length);
+
+  for (let i = 0; i < n; i++) {
+    const aDigits = /^\d/.test(ca[i]);
+    const bDigits = /^\d/.test(cb[i]);
+    if (aDigits && bDigits) {
+      const cmp = compareDigitRuns(ca[i], cb[i]);
+      if (cmp !== 0) return cmp;
+    } else if (aDigits !== bDigits) {
+      return aDigits ? -1 : 1;
+    } else if (ca[i] !== cb[i]) {
+      return ca[i] < cb[i] ? -1 : 1;
+    }
+  }
+  if (ca.length !== cb.length) return ca.length - cb.length;
+
+  // Равны «по смыслу» (001 и 1) — стабильный порядок по исходной строке.
+  if (sa !== sb) return sa < sb ? -1 : 1;
+  return 0;
+}
+
+function naturalCompare(a, b) {
+  return compareNaturalNames(a, b);
+}
+
 function sortByGeometry(images) {
   return [...images].sort((a, b) => {
     if (a.y < b.y) return -1;
@@ -154,564 +219,4177 @@ function getBrightnessAndSaturationFromImageElement(
   return { brightness, saturation: saturationApprox };
 }
 
-// ---------- alignment (Sorting) ----------
-
-async function alignImagesInGivenOrder(images, config) {
-  const {
-    imagesPerRow,
-    horizontalGap,
-    verticalGap,
-    sizeMode,
-    startCorner,
-  } = config;
+// Коды для title/metadata: bri 000 (светлое) … 999 (тёмное), sat 00 … 99.
+function colorCodesFromMeasurement(brightness, saturation) {
+  const briCodeRaw = Math.round((1 - brightness) * 999);
+  const briCode = Math.max(0, Math.min(999, briCodeRaw));
 
-  if (!images.length) return;
+  const boostedSat = Math.min(1, saturation * SAT_BOOST);
+  const satCodeRaw = Math.round(boostedSat * SAT_CODE_MAX);
+  const satCode = Math.max(0, Math.min(SAT_CODE_MAX, satCodeRaw));
 
-  if (sizeMode === "width") {
-    const targetWidth = Math.min(...images.map((img) => img.width));
-    for (const img of images) img.width = targetWidth;
-    await Promise.all(images.map((img) => img.sync()));
-  } else if (sizeMode === "height") {
-    const targetHeight = Math.min(...images.map((img) => img.height));
-    for (const img of images) img.height = targetHeight;
-    await Promise.all(images.map((img) => img.sync()));
-  }
+  return { satCode, briCode };
+}
 
-  const total = images.length;
-  const cols = Math.max(1, imagesPerRow);
-  const rows = Math.ceil(total / cols);
+// ---------- helpers: palette & hue ----------
 
-  const rowHeights = new Array(rows).fill(0);
-  const rowWidths = new Array(rows).fill(0);
+const PALETTE_SIZE = 5;
+const PALETTE_KMEANS_ITERATIONS = 8;
+const GRAY_CHROMA_THRESHOLD = 0.12;  // средняя (max-min)/255 по палитре: ниже — серое
 
-  for (let i = 0; i < total; i++) {
-    const r = Math.floor(i / cols);
-    const img = images[i];
+/**
+ * Доминирующая палитра по тому же ROI, что и яркость (без блюра, чтобы
+ * цвета не смешивались): k-means в RGB с детерминированной инициализацией
+ * (среднее + самые удалённые точки). Возвращает [{ color: "#rrggbb", share }]
+ * по убыванию доли или null, если пиксели недоступны.
+ */
+function getPaletteFromImageElement(
+  img,
+  k = PALETTE_SIZE,
+  smallSize = 50,
+  cropTopRatio = 0.3,
+  cropSideRatio = 0.2
+) {
+  const canvas = document.createElement("canvas");
+  const ctx = canvas.getContext("2d");
+  canvas.width = smallSize;
+  canvas.height = smallSize;
+  ctx.drawImage(img, 0, 0, smallSize, smallSize);
+
+  const cropY = Math.floor(smallSize * cropTopRatio);
+  const cropX = Math.floor(smallSize * cropSideRatio);
+  const cropW = smallSize - 2 * cropX;
+  const cropH = smallSize - cropY;
+  if (cropH <= 0 || cropW <= 0) return null;
 
-    if (img.height > rowHeights[r]) rowHeights[r] = img.height;
+  let data;
+  try {
+    data = ctx.getImageData(cropX, cropY, cropW, cropH).data;
+  } catch (e) {
+    console.error("getImageData failed (CORS?):", e);
+    return null;
+  }
 
-    if (rowWidths[r] > 0) rowWidths[r] += horizontalGap;
-    rowWidths[r] += img.width;
+  const pixels = [];
+  for (let i = 0; i < data.length; i += 4) {
+    pixels.push([data[i], data[i + 1], data[i + 2]]);
   }
+  if (!pixels.length) return null;
 
-  const gridWidth = rowWidths.length ? Math.max(...rowWidths) : 0;
-  const gridHeight =
-    rowHeights.reduce((sum, h) => sum + h, 0) +
-    verticalGap * Math.max(0, rows - 1);
+  const dist2 = (a, b) =>
+    (a[0] - b[0]) ** 2 + (a[1] - b[1]) ** 2 + (a[2] - b[2]) ** 2;
 
-  const rowTop = new Array(rows).fill(0);
-  for (let r = 1; r < rows; r++) {
-    rowTop[r] = rowTop[r - 1] + rowHeights[r - 1] + verticalGap;
+  const mean = [0, 0, 0];
+  pixels.forEach((p) => {
+    mean[0] += p[0];
+    mean[1] += p[1];
+    mean[2] += p[2];
+  });
+  let centroids = [mean.map((v) => v / pixels.length)];
+
+  while (centroids.length < k) {
+    let best = null;
+    let bestD = 0;
+    for (const p of pixels) {
+      const d = Math.min(...centroids.map((c) => dist2(p, c)));
+      if (d > bestD) {
+        bestD = d;
+        best = p;
+      }
+    }
+    if (!best) break;
+    centroids.push(best.slice());
   }
 
-  const baseX = new Array(total).fill(0);
-  const baseY = new Array(total).fill(0);
-  const rowCursorX = new Array(rows).fill(0);
+  let counts = [];
+  for (let iter = 0; iter < PALETTE_KMEANS_ITERATIONS; iter++) {
+    const sums = centroids.map(() => [0, 0, 0]);
+    counts = centroids.map(() => 0);
+    for (const p of pixels) {
+      let bi = 0;
+      let bd = Infinity;
+      centroids.forEach((c, ci) => {
+        const d = dist2(p, c);
+        if (d < bd) {
+          bd = d;
+          bi = ci;
+        }
+      });
+      sums[bi][0] += p[0];
+      sums[bi][1] += p[1];
+      sums[bi][2] += p[2];
+      counts[bi] += 1;
+    }
+    centroids = centroids.map((c, ci) =>
+      counts[ci] ? sums[ci].map((v) => v / counts[ci]) : c
+    );
+  }
 
-  for (let i = 0; i < total; i++) {
-    const r = Math.floor(i / cols);
-    const img = images[i];
+  return centroids
+    .map((c, ci) => ({
+      color: rgbToHex(c),
+      share: Math.round((counts[ci] / pixels.length) * 1000) / 1000,
+    }))
+    .filter((entry) => entry.share > 0)
+    .sort((a, b) => b.share - a.share);
+}
 
-    const centerY = rowTop[r] + rowHeights[r] / 2;
-    const centerX = rowCursorX[r] + img.width / 2;
+function rgbToHex(rgb) {
+  return (
+    "#" +
+    rgb
+      .map((v) => Math.max(0, Math.min(255, Math.round(v))).toString(16).padStart(2, "0"))
+      .join("")
+  );
+}
 
-    baseX[i] = centerX;
-    baseY[i] = centerY;
+function hexToRgb(hex) {
+  const n = Number.parseInt(hex.slice(1), 16);
+  return [(n >> 16) & 255, (n >> 8) & 255, n & 255];
+}
 
-    rowCursorX[r] += img.width + horizontalGap;
-  }
+function rgbToHsl([r, g, b]) {
+  const rn = r / 255;
+  const gn = g / 255;
+  const bn = b / 255;
+  const max = Math.max(rn, gn, bn);
+  const min = Math.min(rn, gn, bn);
+  const l = (max + min) / 2;
+  const d = max - min;
+  if (d === 0) return { h: 0, s: 0, l };
+
+  const s = d / (1 - Math.abs(2 * l - 1));
+  let h;
+  if (max === rn) h = ((gn - bn) / d) % 6;
+  else if (max === gn) h = (bn - rn) / d + 2;
+  else h = (rn - gn) / d + 4;
+  h *= 60;
+  if (h < 0) h += 360;
+  return { h, s, l };
+}
 
-  const bounds = images.map((img) => ({
-    left: img.x - img.width / 2,
-    top: img.y - img.height / 2,
-    right: img.x + img.width / 2,
-    bottom: img.y + img.height / 2,
-  }));
+// sRGB (D65) → CIE Lab: евклидово расстояние в Lab близко к воспринимаемому.
+function rgbToLab([r, g, b]) {
+  const lin = (v) => {
+    const c = v / 255;
+    return c <= 0.04045 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+  };
+  const R = lin(r);
+  const G = lin(g);
+  const B = lin(b);
 
-  const minLeft = Math.min(...bounds.map((b) => b.left));
-  const minTop = Math.min(...bounds.map((b) => b.top));
-  const maxRight = Math.max(...bounds.map((b) => b.right));
-  const maxBottom = Math.max(...bounds.map((b) => b.bottom));
+  const f = (t) => (t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116);
+  const fx = f((0.4124 * R + 0.3576 * G + 0.1805 * B) / 0.95047);
+  const fy = f(0.2126 * R + 0.7152 * G + 0.0722 * B);
+  const fz = f((0.0193 * R + 0.1192 * G + 0.9505 * B) / 1.08883);
 
-  let originLeft;
-  let originTop;
-  let flipX = false;
-  let flipY = false;
+  return [116 * fy - 16, 500 * (fx - fy), 200 * (fy - fz)];
+}
 
-  switch (startCorner) {
-    case "top-left":
-      originLeft = minLeft;
-      originTop = minTop;
-      break;
-    case "top-right":
-      originLeft = maxRight - gridWidth;
-      originTop = minTop;
-      flipX = true;
-      break;
-    case "bottom-left":
-      originLeft = minLeft;
-      originTop = maxBottom - gridHeight;
-      flipY = true;
-      break;
-    case "bottom-right":
-      originLeft = maxRight - gridWidth;
-      originTop = maxBottom - gridHeight;
-      flipX = true;
-      flipY = true;
-      break;
-    default:
-      originLeft = minLeft;
-      originTop = minTop;
+function chromaOf([r, g, b]) {
+  return (Math.max(r, g, b) - Math.min(r, g, b)) / 255;
+}
+
+/**
+ * Ключевой цвет палитры для сортировки:
+ *   - gray: средняя хрома по палитре ниже GRAY_CHROMA_THRESHOLD;
+ *   - rgb: для цветных — самый крупный хроматический цвет, для серых — средний.
+ */
+function paletteKeyColor(palette) {
+  const entries = palette.map((p) => ({ rgb: hexToRgb(p.color), share: p.share }));
+  const total = entries.reduce((acc, e) => acc + e.share, 0) || 1;
+  const avgChroma =
+    entries.reduce((acc, e) => acc + chromaOf(e.rgb) * e.share, 0) / total;
+
+  let rgb;
+  const gray = avgChroma < GRAY_CHROMA_THRESHOLD;
+  if (gray) {
+    rgb = [0, 1, 2].map(
+      (c) => entries.reduce((acc, e) => acc + e.rgb[c] * e.share, 0) / total
+    );
+  } else {
+    const chromatic = entries.filter((e) => chromaOf(e.rgb) >= GRAY_CHROMA_THRESHOLD);
+    rgb = (chromatic.length ? chromatic : entries)[0].rgb;
   }
 
-  for (let i = 0; i < total; i++) {
-    let x0 = baseX[i];
-    let y0 = baseY[i];
+  return { gray, rgb, hsl: rgbToHsl(rgb), lab: rgbToLab(rgb) };
+}
 
-    if (flipX) x0 = gridWidth - x0;
-    if (flipY) y0 = gridHeight - y0;
+// ---------- helpers: perceptual hash ----------
 
-    const img = images[i];
-    img.x = originLeft + x0;
-    img.y = originTop + y0;
-  }
+const DHASH_HEX_LENGTH = 16;
 
-  await Promise.all(images.map((img) => img.sync()));
-}
+/**
+ * dHash 64 бита: картинка в градациях серого 9×8, бит = «левый пиксель
+ * ярче правого». Возвращает 16 hex-символов или null (CORS).
+ */
+function getDHashFromImageElement(img) {
+  const canvas = document.createElement("canvas");
+  const ctx = canvas.getContext("2d");
+  canvas.width = 9;
+  canvas.height = 8;
+  ctx.drawImage(img, 0, 0, 9, 8);
 
-// ---------- SORTING: by number ----------
+  let data;
+  try {
+    data = ctx.getImageData(0, 0, 9, 8).data;
+  } catch (e) {
+    console.error("getImageData failed (CORS?):", e);
+    return null;
+  }
 
-async function sortImagesByNumber(images) {
-  const hasAnyEmptyTitle = images.some((img) => !getTitle(img));
+  const gray = (x, y) => {
+    const i = (y * 9 + x) * 4;
+    return 0.2126 * data[i] + 0.7152 * data[i + 1] + 0.0722 * data[i + 2];
+  };
 
-  if (hasAnyEmptyTitle) {
-    const geoOrder = sortByGeometry(images);
-    let counter = 1;
-    for (const img of geoOrder) {
-      img.title = String(counter);
-      counter++;
+  let hex = "";
+  for (let y = 0; y < 8; y++) {
+    let byte = 0;
+    for (let x = 0; x < 8; x++) {
+      byte = (byte << 1) | (gray(x, y) > gray(x + 1, y) ? 1 : 0);
     }
-    await Promise.all(geoOrder.map((img) => img.sync()));
-    images = geoOrder;
+    hex += byte.toString(16).padStart(2, "0");
   }
+  return hex;
+}
 
-  const meta = images.map((img, index) => {
-    const title = getTitle(img);
-    const lower = title.toLowerCase();
-    const num = extractTrailingNumber(title);
-    const hasNumber = num !== null;
-    return { img, index, title, lower, hasNumber, num };
-  });
+function popcount32(v) {
+  v -= (v >>> 1) & 0x55555555;
+  v = (v & 0x33333333) + ((v >>> 2) & 0x33333333);
+  return (((v + (v >>> 4)) & 0x0f0f0f0f) * 0x01010101) >>> 24;
+}
 
-  console.groupCollapsed("Sorting (number) – titles & numbers");
-  meta.forEach((m) => console.log(m.title || m.img.id, "=>", m.num));
-  console.groupEnd();
+// Расстояние Хэмминга между двумя dHash (0 … 64).
+function hashDistance(a, b) {
+  const hi = Number.parseInt(a.slice(0, 8), 16) ^ Number.parseInt(b.slice(0, 8), 16);
+  const lo = Number.parseInt(a.slice(8), 16) ^ Number.parseInt(b.slice(8), 16);
+  return popcount32(hi) + popcount32(lo);
+}
 
-  meta.sort((a, b) => {
-    if (a.hasNumber && !b.hasNumber) return -1;
-    if (!a.hasNumber && b.hasNumber) return 1;
+function isValidHash(hash) {
+  return typeof hash === "string" && hash.length === DHASH_HEX_LENGTH;
+}
 
-    if (a.hasNumber && b.hasNumber) {
-      if (a.num !== b.num) return a.num - b.num;
-      if (a.lower < b.lower) return -1;
-      if (a.lower > b.lower) return 1;
-      return a.index - b.index;
+// ---------- layout: fill orders ----------
+// Общие для Sorting и Stitch/Slice порядки заполнения сетки:
+//   rows / columns           — по рядам / по колонкам;
+//   snake-rows / snake-columns — то же, но каждая вторая линия в обратную сторону;
+//   spiral                   — раскручиваясь от центральной клетки наружу.
+
+function isColumnFill(fillOrder) {
+  return fillOrder === "columns" || fillOrder === "snake-columns";
+}
+
+function spiralCells(count, cols, rows) {
+  const cells = [];
+  let x = Math.floor((cols - 1) / 2);
+  let y = Math.floor((rows - 1) / 2);
+  const dirs = [[1, 0], [0, 1], [-1, 0], [0, -1]];
+  let dir = 0;
+  // Длиннее отрезков спираль уже покрывает весь прямоугольник.
+  const maxLen = 2 * (Math.max(cols, rows) + 1);
+
+  // Часть отрезка [0, len) вдоль оси со стартом v0, попадающая в [0, limit).
+  const inBounds = (v0, d, len, limit) =>
+    d > 0
+      ? [Math.max(0, -v0), Math.min(len - 1, limit - 1 - v0)]
+      : [Math.max(0, v0 - (limit - 1)), Math.min(len - 1, v0)];
+
+  for (let stepLen = 1; cells.length < count && stepLen <= maxLen; stepLen++) {
+    for (let k = 0; k < 2 && cells.length < count; k++) {
+      const [dx, dy] = dirs[dir];
+      // Клетки вне сетки пропускаем целым куском — у вытянутых сеток их большинство.
+      const [from, to] = dx
+        ? y >= 0 && y < rows ? inBounds(x, dx, stepLen, cols) : [0, -1]
+        : x >= 0 && x < cols ? inBounds(y, dy, stepLen, rows) : [0, -1];
+      for (let s = from; s <= to && cells.length < count; s++) {
+        cells.push({ row: y + dy * s, col: x + dx * s });
+      }
+      x += dx * stepLen;
+      y += dy * stepLen;
+      dir = (dir + 1) % 4;
     }
+  }
+  return cells;
+}
 
-    if (a.lower < b.lower) return -1;
-    if (a.lower > b.lower) return 1;
-    return a.index - b.index;
-  });
+// Длина колонки при колоночном заполнении: задана явно (Fixed rows) или из cols.
+function columnLineLength(count, cols, columnLength) {
+  return columnLength > 0 ? columnLength : Math.ceil(count / cols);
+}
 
-  return meta.map((m) => m.img);
+// Размеры сетки computeFillCells (без rowBreaks), не строя сами клетки.
+function fillGridSize(count, cols, fillOrder = "rows", columnLength = 0) {
+  cols = Math.max(1, cols);
+  if (!count) return { rows: 0, cols: 0 };
+  if (fillOrder === "spiral") return { rows: Math.ceil(count / cols), cols };
+  if (isColumnFill(fillOrder)) {
+    const lineLength = Math.min(count, columnLineLength(count, cols, columnLength));
+    return { rows: lineLength, cols: Math.ceil(count / lineLength) };
+  }
+  return { rows: Math.ceil(count / cols), cols: Math.min(cols, count) };
 }
 
-// ---------- SORTING: by color (по Cxx/yyy в title) ----------
+// Клетка index-го элемента (без rowBreaks, кроме спирали) — за O(1).
+function fillCellAt(index, count, cols, fillOrder = "rows", columnLength = 0) {
+  cols = Math.max(1, cols);
+  const byColumns = isColumnFill(fillOrder);
+  const lineLength = byColumns ? columnLineLength(count, cols, columnLength) : cols;
+  const line = Math.floor(index / lineLength);
+  const pos = index % lineLength;
+  const snake = fillOrder === "snake-rows" || fillOrder === "snake-columns";
+  const q = snake && line % 2 === 1 ? lineLength - 1 - pos : pos;
+  return byColumns ? { row: q, col: line } : { row: line, col: q };
+}
 
-async function sortImagesByColor(images) {
-  const meta = images.map((img, index) => {
-    const title = getTitle(img);
-    const match = title.match(/^C(\d{2})\/(\d{3})\s+/);
-
-    if (!match) {
-      return {
-        img,
-        index,
-        title,
-        hasCode: false,
-        group: 1,
-        satCode: null,
-        briCode: null,
-      };
+/**
+ * Логические клетки { row, col } для count элементов.
+ * cols — число колонок (для колоночных порядков длина колонки = ceil(count / cols)).
+ * breaks — индексы, с которых принудительно начинается новая линия (ряд/колонка).
+ * columnLength — явная длина колонки для колоночных порядков (Fixed rows).
+ */
+function computeFillCells(count, cols, fillOrder = "rows", breaks = [], columnLength = 0) {
+  cols = Math.max(1, cols);
+  if (!count) return { cells: [], rows: 0, cols: 0 };
+
+  if (fillOrder === "spiral") {
+    const rows = Math.ceil(count / cols);
+    return { cells: spiralCells(count, cols, rows), rows, cols };
+  }
+
+  const byColumns = isColumnFill(fillOrder);
+  const lineLength = byColumns ? columnLineLength(count, cols, columnLength) : cols;
+  const breakSet = new Set(breaks || []);
+
+  const raw = [];
+  let line = 0;
+  let pos = 0;
+  for (let i = 0; i < count; i++) {
+    if (i > 0 && (pos >= lineLength || breakSet.has(i))) {
+      line += 1;
+      pos = 0;
     }
+    raw.push({ line, pos });
+    pos += 1;
+  }
+
+  const snake = fillOrder === "snake-rows" || fillOrder === "snake-columns";
+  const cells = raw.map(({ line: l, pos: p }) => {
+    const q = snake && l % 2 === 1 ? lineLength - 1 - p : p;
+    return byColumns ? { row: q, col: l } : { row: l, col: q };
+  });
 
-    const satCode = Number.parseInt(match[1], 10);
-    const briCode = Number.parseInt(match[2], 10);
-    const group = satCode <= SAT_GROUP_THRESHOLD ? 0 : 1;
+  let rows = 0;
+  let colCount = 0;
+  for (const c of cells) {
+    rows = Math.max(rows, c.row + 1);
+    colCount = Math.max(colCount, c.col + 1);
+  }
+  return { cells, rows, cols: colCount };
+}
 
+/**
+ * Раскладка элементов разных размеров по клеткам computeFillCells.
+ * Ряды (колонки) упакованы плотно в порядке клеток; у спирали клетки
+ * выровнены по сетке (колонка — по самому широкому, ряд — по самому высокому).
+ * Возвращает { centers: [{ x, y }], width, height } от левого верхнего угла.
+ */
+function layoutFillCells(sizes, cells, fillOrder, horizontalGap, verticalGap) {
+  const total = sizes.length;
+  const centers = new Array(total);
+  if (!total) return { centers, width: 0, height: 0 };
+
+  if (fillOrder === "spiral") {
+    const cols = Math.max(...cells.map((c) => c.col)) + 1;
+    const rows = Math.max(...cells.map((c) => c.row)) + 1;
+    const colWidths = new Array(cols).fill(0);
+    const rowHeights = new Array(rows).fill(0);
+    cells.forEach((c, i) => {
+      colWidths[c.col] = Math.max(colWidths[c.col], sizes[i].width);
+      rowHeights[c.row] = Math.max(rowHeights[c.row], sizes[i].height);
+    });
+    const colLeft = [0];
+    for (let c = 1; c < cols; c++) colLeft[c] = colLeft[c - 1] + colWidths[c - 1] + horizontalGap;
+    const rowTop = [0];
+    for (let r = 1; r < rows; r++) rowTop[r] = rowTop[r - 1] + rowHeights[r - 1] + verticalGap;
+
+    cells.forEach((c, i) => {
+      centers[i] = {
+        x: colLeft[c.col] + colWidths[c.col] / 2,
+        y: rowTop[c.row] + rowHeights[c.row] / 2,
+      };
+    });
     return {
-      img,
-      index,
-      title,
-      hasCode: true,
-      satCode,
-      briCode,
-      group,
+      centers,
+      width: colLeft[cols - 1] + colWidths[cols - 1],
+      height: rowTop[rows - 1] + rowHeights[rows - 1],
     };
+  }
+
+  // Линия = ряд (или колонка); along — ось вдоль линии, across — поперёк.
+  const byColumns = isColumnFill(fillOrder);
+  const along = byColumns ? "height" : "width";
+  const across = byColumns ? "width" : "height";
+  const alongGap = byColumns ? verticalGap : horizontalGap;
+  const acrossGap = byColumns ? horizontalGap : verticalGap;
+
+  const lines = new Map();
+  cells.forEach((c, i) => {
+    const line = byColumns ? c.col : c.row;
+    const pos = byColumns ? c.row : c.col;
+    if (!lines.has(line)) lines.set(line, []);
+    lines.get(line).push({ i, pos });
   });
 
-  const anyCode = meta.some((m) => m.hasCode);
-  if (!anyCode) {
-    console.warn(
-      "No color codes found in titles; falling back to geometry sort."
-    );
-    return sortByGeometry(images);
-  }
+  const lineKeys = Array.from(lines.keys()).sort((a, b) => a - b);
+  let offsetAcross = 0;
+  let maxAlong = 0;
+
+  lineKeys.forEach((key, k) => {
+    const members = lines.get(key).sort((a, b) => a.pos - b.pos);
+    const thickness = Math.max(...members.map((m) => sizes[m.i][across]));
+    if (k > 0) offsetAcross += acrossGap;
+
+    let cursor = 0;
+    members.forEach((m, j) => {
+      if (j > 0) cursor += alongGap;
+      const a = cursor + sizes[m.i][along] / 2;
+      const b = offsetAcross + thickness / 2;
+      centers[m.i] = byColumns ? { x: b, y: a } : { x: a, y: b };
+      cursor += sizes[m.i][along];
+    });
 
-  console.groupCollapsed("Sorting (color) – titles, sat & bri");
-  meta.forEach((m) => {
-    console.log(
-      m.title || m.img.id,
-      "=>",
-      m.hasCode
-        ? `group=${m.group}, sat=${m.satCode}, bri=${m.briCode}`
-        : "no-code"
-    );
+    maxAlong = Math.max(maxAlong, cursor);
+    offsetAcross += thickness;
   });
-  console.groupEnd();
 
-  meta.sort((a, b) => {
-    if (a.hasCode && b.hasCode) {
-      if (a.group !== b.group) return a.group - b.group;
-      if (a.briCode !== b.briCode) return a.briCode - b.briCode;
-      if (a.satCode !== b.satCode) return a.satCode - b.satCode;
-      return a.index - b.index;
+  return byColumns
+    ? { centers, width: offsetAcross, height: maxAlong }
+    : { centers, width: maxAlong, height: offsetAcross };
+}
+
+// ---------- layout: uniform cells ----------
+// Режим «одинаковые клетки»: все слоты одного размера (максимум по выборке
+// или заданный вручную), картинка выравнивается внутри клетки и при желании
+// вписывается в неё. Колонки остаются ровными по всей сетке.
+
+const CELL_ALIGN_FACTORS = {
+  "top-left": [0, 0],
+  "top-center": [0.5, 0],
+  "top-right": [1, 0],
+  "center-left": [0, 0.5],
+  center: [0.5, 0.5],
+  "center-right": [1, 0.5],
+  "bottom-left": [0, 1],
+  "bottom-center": [0.5, 1],
+  "bottom-right": [1, 1],
+};
+
+function cornerFlips(startCorner) {
+  return {
+    flipX: startCorner === "top-right" || startCorner === "bottom-right",
+    flipY: startCorner === "bottom-left" || startCorner === "bottom-right",
+  };
+}
+
+/**
+ * Размер клетки: заданный (cellWidth/cellHeight > 0) или максимум по sizes.
+ */
+function resolveCellSize(sizes, options) {
+  const width = options.cellWidth > 0 ? options.cellWidth : Math.max(...sizes.map((s) => s.width));
+  const height =
+    options.cellHeight > 0 ? options.cellHeight : Math.max(...sizes.map((s) => s.height));
+  return { width, height };
+}
+
+// Картинка внутри клетки: { x, y, width, height } (x, y — центр).
+function placeInCell(size, cellLeft, cellTop, cell, options) {
+  const [ax, ay] = CELL_ALIGN_FACTORS[options.cellAlign] || CELL_ALIGN_FACTORS.center;
+  const scale = options.fitToCell
+    ? Math.min(cell.width / size.width, cell.height / size.height)
+    : 1;
+  const width = size.width * scale;
+  const height = size.height * scale;
+  return {
+    x: cellLeft + ax * (cell.width - width) + width / 2,
+    y: cellTop + ay * (cell.height - height) + height / 2,
+    width,
+    height,
+  };
+}
+
+// ---------- layout: justified rows & masonry ----------
+// Галерейные раскладки без обрезки, пропорции сохраняются:
+//   justified — ряды масштабируются ровно до ширины layoutWidth (как Flickr),
+//               последний неполный ряд остаётся в базовой высоте;
+//   masonry   — imagesPerRow колонок ширины layoutWidth, каждая картинка
+//               падает в самую короткую колонку.
+// По умолчанию (layoutWidth = 0) ширина подбирается по медиане размеров.
+
+// Раскладки без сетки клеток: fill order и skip-missing к ним не применимы.
+function isFreeformLayout(cellMode) {
+  return cellMode === "justified" || cellMode === "masonry" || cellMode === "pack";
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function layoutJustifiedRows(sizes, options) {
+  const { imagesPerRow, horizontalGap = 0, verticalGap = 0 } = options;
+  const baseHeight = median(sizes.map((s) => s.height));
+  const baseWidths = sizes.map((s) => s.width * (baseHeight / s.height));
+  const perRow = Math.max(1, imagesPerRow);
+  const targetWidth =
+    options.layoutWidth > 0
+      ? options.layoutWidth
+      : median(baseWidths) * perRow + horizontalGap * (perRow - 1);
+
+  const slots = new Array(sizes.length);
+  let top = 0;
+  let row = [];
+  let rowWidth = 0;
+
+  const flushRow = (justify) => {
+    const gaps = horizontalGap * (row.length - 1);
+    const scale = justify ? (targetWidth - gaps) / rowWidth : 1;
+    const height = baseHeight * scale;
+    let left = 0;
+    for (const i of row) {
+      const width = baseWidths[i] * scale;
+      slots[i] = { x: left + width / 2, y: top + height / 2, width, height };
+      left += width + horizontalGap;
     }
-    if (a.hasCode) return -1;
-    if (b.hasCode) return 1;
-    return a.index - b.index;
+    top += height + verticalGap;
+    row = [];
+    rowWidth = 0;
+  };
+
+  sizes.forEach((_, i) => {
+    row.push(i);
+    rowWidth += baseWidths[i];
+    if (rowWidth + horizontalGap * (row.length - 1) >= targetWidth) flushRow(true);
   });
+  if (row.length) flushRow(false);
 
-  return meta.map((m) => m.img);
+  return {
+    slots,
+    width: targetWidth,
+    height: Math.max(0, top - verticalGap),
+  };
 }
 
-// ---------- SORTING handler ----------
+function layoutMasonry(sizes, options) {
+  const { imagesPerRow, horizontalGap = 0, verticalGap = 0 } = options;
+  const cols = Math.max(1, Math.min(imagesPerRow, sizes.length));
+  const columnWidth =
+    options.layoutWidth > 0 ? options.layoutWidth : median(sizes.map((s) => s.width));
+
+  const columnHeights = new Array(cols).fill(0);
+  const slots = sizes.map((size) => {
+    let col = 0;
+    for (let c = 1; c < cols; c++) {
+      if (columnHeights[c] < columnHeights[col]) col = c;
+    }
+    const height = size.height * (columnWidth / size.width);
+    const top = columnHeights[col] ? columnHeights[col] + verticalGap : 0;
+    columnHeights[col] = top + height;
+    return {
+      x: col * (columnWidth + horizontalGap) + columnWidth / 2,
+      y: top + height / 2,
+      width: columnWidth,
+      height,
+    };
+  });
 
-async function handleSortingSubmit(event) {
-  event.preventDefault();
+  return {
+    slots,
+    width: cols * columnWidth + horizontalGap * (cols - 1),
+    height: Math.max(...columnHeights),
+  };
+}
 
-  try {
-    const form = document.getElementById("sorting-form");
-    if (!form) return;
+// ---------- layout: tight packing (MaxRects) ----------
+// «Pack tightly»: MaxRects без поворотов. Зазоры учитываются раздуванием
+// прямоугольников на Gap X / Gap Y. Ширину «корзины» перебираем вокруг
+// sqrt(площадь × packAspect) и берём вариант с наименьшей площадью рамки
+// (со штрафом за отклонение от целевых пропорций).
+//   packKeepOrder = true  — картинки идут в заданном порядке, эвристика
+//                           «ниже-левее», поэтому порядок чтения примерно сохраняется;
+//   packKeepOrder = false — сначала крупные; пробуем и Best Short Side Fit,
+//                           и «ниже-левее», оставляем более плотный результат.
+// Больше PACK_MAXRECTS_LIMIT картинок — skyline («ниже-левее» по линии
+// горизонта): чуть менее плотно, зато почти линейно. Превью пересчитывает
+// раскладку на каждое изменение, поэтому последний результат кешируем.
+
+const PACK_WIDTH_FACTORS = [0.85, 1, 1.2];
+const PACK_MAXRECTS_LIMIT = 100;
+
+let packCache = null;
+
+function containsRect(outer, inner) {
+  return (
+    inner.x >= outer.x &&
+    inner.y >= outer.y &&
+    inner.x + inner.w <= outer.x + outer.w &&
+    inner.y + inner.h <= outer.y + outer.h
+  );
+}
 
-    const imagesPerRow = Number(form.sortingImagesPerRow.value) || 1;
-    const horizontalGap = Number(form.sortingHorizontalGap.value) || 0;
-    const verticalGap = Number(form.sortingVerticalGap.value) || 0;
-    const sizeMode = form.sortingSizeMode.value;
-    const startCorner = form.sortingStartCorner.value;
-    const sortModeEl = document.getElementById("sortingSortMode");
-    const sortMode = sortModeEl ? sortModeEl.value : "number";
+function maxRectsSplit(freeRects, used) {
+  const untouched = [];
+  const created = [];
+  for (const fr of freeRects) {
+    const intersects =
+      used.x < fr.x + fr.w && used.x + used.w > fr.x &&
+      used.y < fr.y + fr.h && used.y + used.h > fr.y;
+    if (!intersects) {
+      untouched.push(fr);
+      continue;
+    }
+    if (used.x > fr.x) created.push({ x: fr.x, y: fr.y, w: used.x - fr.x, h: fr.h });
+    if (used.x + used.w < fr.x + fr.w) {
+      created.push({ x: used.x + used.w, y: fr.y, w: fr.x + fr.w - used.x - used.w, h: fr.h });
+    }
+    if (used.y > fr.y) created.push({ x: fr.x, y: fr.y, w: fr.w, h: used.y - fr.y });
+    if (used.y + used.h < fr.y + fr.h) {
+      created.push({ x: fr.x, y: used.y + used.h, w: fr.w, h: fr.y + fr.h - used.y - used.h });
+    }
+  }
 
-    const selection = await board.getSelection();
-    let images = selection.filter((i) => i.type === "image");
+  // Нетронутые уже не вложены друг в друга — проверяем только пары с новыми.
+  const fresh = created.filter(
+    (a, i) =>
+      !untouched.some((b) => containsRect(b, a)) &&
+      !created.some((b, j) => j !== i && containsRect(b, a) && (j < i || !containsRect(a, b)))
+  );
+  return untouched.filter((b) => !fresh.some((a) => containsRect(a, b))).concat(fresh);
+}
 
-    if (!images.length) {
-      await board.notifications.showInfo(
-        "Select at least one image on the board."
-      );
-      return;
+// Раскладка в корзину ширины binWidth (высота не ограничена): позиции левых верхних углов.
+function maxRectsPack(rects, order, binWidth, heuristic) {
+  const binHeight = rects.reduce((sum, r) => sum + r.h, 0);
+  let freeRects = [{ x: 0, y: 0, w: binWidth, h: binHeight }];
+  const positions = new Array(rects.length);
+
+  for (const i of order) {
+    const { w, h } = rects[i];
+    let best = null;
+    let bestA = Infinity;
+    let bestB = Infinity;
+    for (const fr of freeRects) {
+      if (w > fr.w || h > fr.h) continue;
+      const bottomLeft = heuristic === "bottom-left";
+      const a = bottomLeft ? fr.y : Math.min(fr.w - w, fr.h - h);
+      const b = bottomLeft ? fr.x : Math.max(fr.w - w, fr.h - h);
+      if (a < bestA || (a === bestA && b < bestB)) {
+        best = fr;
+        bestA = a;
+        bestB = b;
+      }
     }
+    if (!best) return null;
+    positions[i] = { x: best.x, y: best.y };
+    freeRects = maxRectsSplit(freeRects, { x: best.x, y: best.y, w, h });
+  }
+  return positions;
+}
 
-    if (imagesPerRow < 1) {
-      await board.notifications.showError("“Rows” must be greater than 0.");
-      return;
+// Skyline: горизонт — отрезки { x, w, y }; каждую картинку кладём туда, где
+// она встанет выше всего (при равенстве — левее).
+function skylinePack(rects, order, binWidth) {
+  let skyline = [{ x: 0, w: binWidth, y: 0 }];
+  const positions = new Array(rects.length);
+
+  for (const i of order) {
+    const { w, h } = rects[i];
+    let bestY = Infinity;
+    let bestX = 0;
+    for (let s = 0; s < skyline.length; s++) {
+      const x = skyline[s].x;
+      if (x + w > binWidth) break;
+      let y = 0;
+      for (let t = s; t < skyline.length && skyline[t].x < x + w; t++) {
+        y = Math.max(y, skyline[t].y);
+      }
+      if (y < bestY) {
+        bestY = y;
+        bestX = x;
+      }
+    }
+    if (bestY === Infinity) return null;
+    positions[i] = { x: bestX, y: bestY };
+
+    const right = bestX + w;
+    const next = [];
+    for (const seg of skyline) {
+      const segRight = seg.x + seg.w;
+      if (segRight <= bestX || seg.x >= right) {
+        next.push(seg);
+        continue;
+      }
+      if (seg.x < bestX) next.push({ x: seg.x, w: bestX - seg.x, y: seg.y });
+      if (segRight > right) next.push({ x: right, w: segRight - right, y: seg.y });
     }
+    next.push({ x: bestX, w, y: bestY + h });
+    next.sort((a, b) => a.x - b.x);
+    // Склеиваем соседние отрезки одной высоты, чтобы горизонт не дробился.
+    skyline = next.reduce((merged, seg) => {
+      const last = merged[merged.length - 1];
+      if (last && last.y === seg.y && last.x + last.w === seg.x) last.w += seg.w;
+      else merged.push({ ...seg });
+      return merged;
+    }, []);
+  }
+  return positions;
+}
 
-    let orderedImages;
+function layoutPackedTight(sizes, options) {
+  const { horizontalGap = 0, verticalGap = 0, packKeepOrder = false } = options;
+  const aspect = options.packAspect > 0 ? options.packAspect : 1;
 
-    if (sortMode === "color") {
-      await board.notifications.showInfo("Sorting by color…");
-      orderedImages = await sortImagesByColor(images);
-    } else {
-      orderedImages = await sortImagesByNumber(images);
+  const cacheKey = JSON.stringify([
+    sizes.map((s) => [s.width, s.height]),
+    horizontalGap,
+    verticalGap,
+    packKeepOrder,
+    aspect,
+  ]);
+  if (packCache && packCache.key === cacheKey) return packCache.layout();
+
+  const rects = sizes.map((s) => ({ w: s.width + horizontalGap, h: s.height + verticalGap }));
+  const order = rects.map((_, i) => i);
+  if (!packKeepOrder) {
+    order.sort(
+      (a, b) =>
+        Math.max(rects[b].w, rects[b].h) - Math.max(rects[a].w, rects[a].h) ||
+        rects[b].w * rects[b].h - rects[a].w * rects[a].h ||
+        a - b
+    );
+  }
+
+  const totalArea = rects.reduce((sum, r) => sum + r.w * r.h, 0);
+  const maxW = Math.max(...rects.map((r) => r.w));
+  const baseWidth = Math.sqrt(totalArea * aspect);
+
+  let heuristics;
+  if (rects.length > PACK_MAXRECTS_LIMIT) heuristics = ["skyline"];
+  else if (packKeepOrder) heuristics = ["bottom-left"];
+  else heuristics = ["short-side", "bottom-left"];
+
+  let best = null;
+  for (const heuristic of heuristics) {
+    for (const factor of PACK_WIDTH_FACTORS) {
+      const binWidth = Math.max(maxW, baseWidth * factor);
+      const positions =
+        heuristic === "skyline"
+          ? skylinePack(rects, order, binWidth)
+          : maxRectsPack(rects, order, binWidth, heuristic);
+      if (!positions) continue;
+
+      let width = 0;
+      let height = 0;
+      positions.forEach((p, i) => {
+        width = Math.max(width, p.x + rects[i].w);
+        height = Math.max(height, p.y + rects[i].h);
+      });
+      width -= horizontalGap;
+      height -= verticalGap;
+      const score = width * height * (1 + Math.abs(Math.log(width / height / aspect)));
+      if (!best || score < best.score) best = { positions, width, height, score };
     }
+  }
 
-    await alignImagesInGivenOrder(orderedImages, {
-      imagesPerRow,
-      horizontalGap,
-      verticalGap,
-      sizeMode,
-      startCorner,
-    });
+  const slots = sizes.map((size, i) => ({
+    x: best.positions[i].x + size.width / 2,
+    y: best.positions[i].y + size.height / 2,
+    width: size.width,
+    height: size.height,
+  }));
+  // planGridLayout зеркалит слоты на месте — отдаём копии.
+  packCache = {
+    key: cacheKey,
+    layout: () => ({ slots: slots.map((slot) => ({ ...slot })), width: best.width, height: best.height }),
+  };
+  return packCache.layout();
+}
 
-    await board.notifications.showInfo(
-      `Done: aligned ${orderedImages.length} image${
-        orderedImages.length === 1 ? "" : "s"
-      }.`
-    );
-  } catch (err) {
-    console.error(err);
-    await board.notifications.showError(
-      "Something went wrong while aligning images. Please check the console."
-    );
+// ---------- layout: grid shape ----------
+// Поле «Columns / Rows» (imagesPerRow) трактуется по gridShape:
+//   columns — фиксированное число колонок;
+//   rows    — фиксированное число рядов: при заполнении по колонкам это длина
+//             колонки; по рядам — колонки считаются из количества, и ровно
+//             столько рядов получается не всегда (см. describeGridShapeMismatch);
+//   square  — форма, ближайшая к квадрату по реальным размерам картинок;
+//   aspect  — форма, ближайшая к gridAspect (W/H, см. parseAspectRatio).
+// Результат всегда — число колонок, дальше его использует обычная сетка.
+
+// "16:9", "4/3", "4x3", "1.5" → W/H; 0, если не разобрать. Общий формат
+// для формы сетки и для Pack tightly.
+function parseAspectRatio(value) {
+  const text = String(value || "").trim();
+  const match = text.match(/^(\d+(?:\.\d+)?)\s*[:/x×]\s*(\d+(?:\.\d+)?)$/i);
+  const ratio = match ? Number(match[1]) / Number(match[2]) : Number(text);
+  return Number.isFinite(ratio) && ratio > 0 ? ratio : 0;
+}
+
+// Fixed rows + заполнение по колонкам: длина колонки = заданное число рядов.
+function fixedColumnLength(options) {
+  return options.gridShape === "rows" && isColumnFill(options.fillOrder)
+    ? Math.max(1, Math.floor(options.imagesPerRow) || 1)
+    : 0;
+}
+
+/**
+ * Текст предупреждения, если Fixed rows не даёт ровно заданное число рядов
+ * для count элементов (по рядам: 6 картинок в 4 ряда не разложить), иначе null.
+ */
+function describeGridShapeMismatch(count, options) {
+  if (options.gridShape !== "rows" || !count || isFreeformLayout(options.cellMode)) return null;
+  const wanted = Math.max(1, Math.floor(options.imagesPerRow) || 1);
+  const cols = Math.ceil(count / wanted);
+  const { rows } = fillGridSize(count, cols, options.fillOrder, fixedColumnLength(options));
+  if (rows === wanted) return null;
+  return (
+    `${count} item${count === 1 ? "" : "s"} cannot fill exactly ${wanted} rows ` +
+    `with this fill order — using ${rows}. Fill by columns to keep the row count.`
+  );
+}
+
+function resolveGridColumns(sizes, options) {
+  const { gridShape = "columns" } = options;
+  const value = Math.max(1, Math.floor(options.imagesPerRow) || 1);
+  const count = sizes.length;
+  if (!count || gridShape === "columns") return value;
+  if (gridShape === "rows") return Math.ceil(count / value);
+
+  // Оценка по средним размерам, затем перебор соседних вариантов на настоящей раскладке.
+  const avgWidth = sizes.reduce((sum, s) => sum + s.width, 0) / count;
+  const avgHeight = sizes.reduce((sum, s) => sum + s.height, 0) / count;
+  return pickColumnsForAspect(count, { width: avgWidth, height: avgHeight }, options, (cols) =>
+    planGridLayout(sizes, { ...options, gridShape: "columns", imagesPerRow: cols })
+  );
+}
+
+// То же для count одинаковых клеток cell — без раскладки, по формуле.
+function resolveGridColumnsForCells(count, cell, options) {
+  const { gridShape = "columns" } = options;
+  const value = Math.max(1, Math.floor(options.imagesPerRow) || 1);
+  if (!count || gridShape === "columns") return value;
+  if (gridShape === "rows") return Math.ceil(count / value);
+
+  const { horizontalGap = 0, verticalGap = 0, fillOrder } = options;
+  return pickColumnsForAspect(count, cell, options, (cols) => {
+    const grid = fillGridSize(count, cols, fillOrder);
+    return {
+      width: grid.cols * cell.width + horizontalGap * Math.max(0, grid.cols - 1),
+      height: grid.rows * cell.height + verticalGap * Math.max(0, grid.rows - 1),
+    };
+  });
+}
+
+// measure(cols) → { width, height }; кандидаты — от половины до двойной оценки.
+function pickColumnsForAspect(count, avgSize, options, measure) {
+  const target = options.gridShape === "aspect" && options.gridAspect > 0 ? options.gridAspect : 1;
+  const estimate = Math.sqrt((count * target * avgSize.height) / avgSize.width);
+  const from = Math.max(1, Math.floor(estimate / 2));
+  const to = Math.min(count, Math.ceil(estimate * 2) + 1);
+
+  let bestCols = Math.min(count, Math.max(1, Math.round(estimate)));
+  let bestDiff = Infinity;
+  for (let cols = from; cols <= to; cols++) {
+    const grid = measure(cols);
+    if (!grid.width || !grid.height) continue;
+    const diff = Math.abs(Math.log(grid.width / grid.height / target));
+    if (diff < bestDiff - 1e-9) {
+      bestDiff = diff;
+      bestCols = cols;
+    }
+  }
+  return bestCols;
+}
+
+/**
+ * Сетка для Sorting и Stitch/Slice. options: imagesPerRow, gridShape, gridAspect,
+ * fillOrder, rowBreaks, horizontalGap, verticalGap, startCorner,
+ * cellMode ("packed" | "uniform" | "justified" | "masonry" | "pack"),
+ * cellWidth, cellHeight, cellAlign, fitToCell, layoutWidth, packAspect, packKeepOrder.
+ * Возвращает { slots: [{ x, y, width, height }], width, height } — центры от
+ * левого верхнего угла сетки, угол старта уже учтён.
+ */
+function planGridLayout(sizes, options) {
+  const {
+    gridShape = "columns",
+    fillOrder = "rows",
+    rowBreaks,
+    horizontalGap = 0,
+    verticalGap = 0,
+    startCorner,
+    cellMode = "packed",
+  } = options;
+  const { flipX, flipY } = cornerFlips(startCorner);
+
+  if (gridShape !== "columns" && cellMode !== "pack") {
+    const imagesPerRow = resolveGridColumns(sizes, options);
+    const columnLength = fixedColumnLength(options);
+    return planGridLayout(sizes, { ...options, gridShape: "columns", imagesPerRow, columnLength });
+  }
+  const { imagesPerRow, columnLength = 0 } = options;
+
+  if (isFreeformLayout(cellMode) && sizes.length) {
+    let layout;
+    if (cellMode === "justified") layout = layoutJustifiedRows(sizes, options);
+    else if (cellMode === "masonry") layout = layoutMasonry(sizes, options);
+    else layout = layoutPackedTight(sizes, options);
+    layout.slots = layout.slots.map((slot) => ({
+      ...slot,
+      x: flipX ? layout.width - slot.x : slot.x,
+      y: flipY ? layout.height - slot.y : slot.y,
+    }));
+    return layout;
+  }
+
+  const fill = computeFillCells(sizes.length, imagesPerRow, fillOrder, rowBreaks, columnLength);
+
+  if (cellMode === "uniform" && sizes.length) {
+    const cell = resolveCellSize(sizes, options);
+    const width = fill.cols * cell.width + horizontalGap * Math.max(0, fill.cols - 1);
+    const height = fill.rows * cell.height + verticalGap * Math.max(0, fill.rows - 1);
+
+    // Зеркалим клетки, а не картинки: выравнивание внутри клетки сохраняется.
+    const slots = fill.cells.map((c, i) => {
+      const col = flipX ? fill.cols - 1 - c.col : c.col;
+      const row = flipY ? fill.rows - 1 - c.row : c.row;
+      return placeInCell(
+        sizes[i],
+        col * (cell.width + horizontalGap),
+        row * (cell.height + verticalGap),
+        cell,
+        options
+      );
+    });
+    return { slots, width, height };
+  }
+
+  const layout = layoutFillCells(sizes, fill.cells, fillOrder, horizontalGap, verticalGap);
+  const slots = layout.centers.map((c, i) => ({
+    x: flipX ? layout.width - c.x : c.x,
+    y: flipY ? layout.height - c.y : c.y,
+    width: sizes[i].width,
+    height: sizes[i].height,
+  }));
+  return { slots, width: layout.width, height: layout.height };
+}
+
+// ---------- alignment (Sorting) ----------
+
+/**
+ * Считает целевую геометрию для каждого изображения (в заданном порядке),
+ * ничего не меняя на доске. Используется и для выравнивания, и для превью.
+ * Возвращает массив { x, y, width, height } в том же порядке, что и images.
+ */
+function planAlignment(images, config) {
+  const { sizeMode, startCorner } = config;
+
+  if (!images.length) return [];
+
+  let sizes = images.map((img) => ({ width: img.width, height: img.height }));
+
+  if (sizeMode === "width") {
+    const targetWidth = Math.min(...images.map((img) => img.width));
+    sizes = images.map((img) => ({
+      width: targetWidth,
+      height: img.height * (targetWidth / img.width),
+    }));
+  } else if (sizeMode === "height") {
+    const targetHeight = Math.min(...images.map((img) => img.height));
+    sizes = images.map((img) => ({
+      width: img.width * (targetHeight / img.height),
+      height: targetHeight,
+    }));
+  }
+
+  const layout = planGridLayout(sizes, config);
+  const gridWidth = layout.width;
+  const gridHeight = layout.height;
+
+  const bounds = images.map((img) => ({
+    left: img.x - img.width / 2,
+    top: img.y - img.height / 2,
+    right: img.x + img.width / 2,
+    bottom: img.y + img.height / 2,
+  }));
+
+  const minLeft = Math.min(...bounds.map((b) => b.left));
+  const minTop = Math.min(...bounds.map((b) => b.top));
+  const maxRight = Math.max(...bounds.map((b) => b.right));
+  const maxBottom = Math.max(...bounds.map((b) => b.bottom));
+
+  const { flipX, flipY } = cornerFlips(startCorner);
+  const originLeft = flipX ? maxRight - gridWidth : minLeft;
+  const originTop = flipY ? maxBottom - gridHeight : minTop;
+
+  return layout.slots.map((slot) => ({
+    x: originLeft + slot.x,
+    y: originTop + slot.y,
+    width: slot.width,
+    height: slot.height,
+  }));
+}
+
+async function alignImagesInGivenOrder(images, config) {
+  if (!images.length) return;
+
+  const slots = planAlignment(images, config);
+
+  for (let i = 0; i < images.length; i++) {
+    const img = images[i];
+    const slot = slots[i];
+
+    // У изображений пропорции фиксированы: меняем только ширину.
+    if (slot.width !== img.width) {
+      img.width = slot.width;
+    }
+    img.x = slot.x;
+    img.y = slot.y;
+  }
+
+  await Promise.all(images.map((img) => img.sync()));
+}
+
+// ---------- SORTING: by number ----------
+
+/**
+ * Если хоть у одной картинки нет title, все нумеруются по геометрии (1, 2, …).
+ * dryRun — не переписывать title на доске (для превью): номера только в памяти.
+ * Возвращает { images, titleOf }: images в порядке геометрии, если нумеровали.
+ */
+async function numberUntitledByGeometry(images, dryRun) {
+  if (!images.some((img) => !getTitle(img))) return { images, titleOf: getTitle };
+
+  const geoOrder = sortByGeometry(images);
+  if (dryRun) {
+    const virtualTitles = new Map(geoOrder.map((img, i) => [img, String(i + 1)]));
+    return { images: geoOrder, titleOf: (img) => virtualTitles.get(img) };
+  }
+
+  let counter = 1;
+  for (const img of geoOrder) {
+    img.title = String(counter);
+    counter++;
+  }
+  await Promise.all(geoOrder.map((img) => img.sync()));
+  return { images: geoOrder, titleOf: getTitle };
+}
+
+/**
+ * options.dryRun — не переписывать пустые title на доске (для превью):
+ * номера по геометрии подставляются только в памяти.
+ */
+async function sortImagesByNumber(images, options = {}) {
+  const { dryRun = false } = options;
+  let titleOf;
+  ({ images, titleOf } = await numberUntitledByGeometry(images, dryRun));
+
+  const meta = images.map((img, index) => {
+    const title = titleOf(img);
+    const lower = title.toLowerCase();
+    const num = extractTrailingNumber(title);
+    const hasNumber = num !== null;
+    return { img, index, title, lower, hasNumber, num };
+  });
+
+  console.groupCollapsed("Sorting (number) – titles & numbers");
+  meta.forEach((m) => console.log(m.title || m.img.id, "=>", m.num));
+  console.groupEnd();
+
+  meta.sort((a, b) => {
+    if (a.hasNumber && !b.hasNumber) return -1;
+    if (!a.hasNumber && b.hasNumber) return 1;
+
+    if (a.hasNumber && b.hasNumber) {
+      if (a.num !== b.num) return a.num - b.num;
+      if (a.lower < b.lower) return -1;
+      if (a.lower > b.lower) return 1;
+      return a.index - b.index;
+    }
+
+    if (a.lower < b.lower) return -1;
+    if (a.lower > b.lower) return 1;
+    return a.index - b.index;
+  });
+
+  return meta.map((m) => m.img);
+}
+
+// ---------- SORTING: by hue / palette ----------
+// Ключи по доминирующей палитре (metadata.palette). Серые всегда идут
+// отдельной полосой в начале (от светлых к тёмным), как и в сортировке
+// по коду; изображения без палитры — в конце (пустое значение ключа).
+//   hue      — по кругу оттенков;
+//   gradient — ближайший сосед в Lab, начиная с самого «крайнего» цвета;
+//   dominant — корзины по 30° оттенка, внутри — от светлых к тёмным.
+
+const HUE_BUCKET_DEGREES = 30;
+
+function hueBucket(h) {
+  return Math.floor(((h + HUE_BUCKET_DEGREES / 2) % 360) / HUE_BUCKET_DEGREES);
+}
+
+function orderByGradientPath(entries) {
+  if (entries.length < 3) return entries;
+
+  const dist2 = (a, b) =>
+    (a.lab[0] - b.lab[0]) ** 2 + (a.lab[1] - b.lab[1]) ** 2 + (a.lab[2] - b.lab[2]) ** 2;
+
+  const centroid = { lab: [0, 1, 2].map(
+    (c) => entries.reduce((acc, e) => acc + e.lab[c], 0) / entries.length
+  ) };
+  let current = entries.reduce((best, e) =>
+    dist2(e, centroid) > dist2(best, centroid) ? e : best
+  );
+
+  const rest = new Set(entries);
+  const path = [];
+  while (rest.size) {
+    rest.delete(current);
+    path.push(current);
+    let next = null;
+    let nextD = Infinity;
+    for (const e of rest) {
+      const d = dist2(current, e);
+      if (d < nextD) {
+        nextD = d;
+        next = e;
+      }
+    }
+    current = next;
+  }
+  return path;
+}
+
+/**
+ * Индексы картинок с палитрой: серые от светлых к тёмным, затем цветные
+ * цепочкой orderByGradientPath. Картинок без палитры в результате нет.
+ */
+function orderByPaletteGradient(codes) {
+  const grays = [];
+  const colored = [];
+  codes.forEach((code, index) => {
+    if (!code || !code.palette || !code.palette.length) return;
+    const key = paletteKeyColor(code.palette);
+    (key.gray ? grays : colored).push({ index, ...key });
+  });
+
+  grays.sort((a, b) => b.hsl.l - a.hsl.l || a.index - b.index);
+  return [...grays, ...orderByGradientPath(colored)].map((e) => e.index);
+}
+
+// ---------- SORTING: by visual similarity ----------
+// dHash (metadata.dHash) + расстояние Хэмминга. Похожие картинки
+// объединяются в кластеры (single-linkage), кластеры идут по убыванию
+// размера, внутри — цепочкой ближайших соседей. Одиночки — общим хвостом,
+// картинки без хэша — в самом конце.
+
+const SIMILARITY_CLUSTER_DISTANCE = 10;  // из 64 бит
+const DUPLICATE_HASH_DISTANCE = 3;
+
+function orderByHashChain(indices, hashes) {
+  if (indices.length < 3) return indices;
+  const rest = new Set(indices);
+  const path = [];
+  let current = indices[0];
+  while (rest.size) {
+    rest.delete(current);
+    path.push(current);
+    let next = null;
+    let nextD = Infinity;
+    for (const j of rest) {
+      const d = hashDistance(hashes[current], hashes[j]);
+      if (d < nextD) {
+        nextD = d;
+        next = j;
+      }
+    }
+    current = next;
+  }
+  return path;
+}
+
+/**
+ * Кластеры похожих картинок: { clusters: [[индексы]], singles, unknown }.
+ * clusters — только из двух и более картинок.
+ */
+function clusterByHash(hashes) {
+  const known = [];
+  const unknown = [];
+  hashes.forEach((h, i) => (h ? known : unknown).push(i));
+
+  const parent = new Map(known.map((i) => [i, i]));
+  const find = (i) => {
+    while (parent.get(i) !== i) {
+      parent.set(i, parent.get(parent.get(i)));
+      i = parent.get(i);
+    }
+    return i;
+  };
+
+  for (let a = 0; a < known.length; a++) {
+    for (let b = a + 1; b < known.length; b++) {
+      const i = known[a];
+      const j = known[b];
+      if (hashDistance(hashes[i], hashes[j]) <= SIMILARITY_CLUSTER_DISTANCE) {
+        const ri = find(i);
+        const rj = find(j);
+        if (ri !== rj) parent.set(Math.max(ri, rj), Math.min(ri, rj));
+      }
+    }
+  }
+
+  const byRoot = new Map();
+  for (const i of known) {
+    const root = find(i);
+    if (!byRoot.has(root)) byRoot.set(root, []);
+    byRoot.get(root).push(i);
+  }
+
+  const clusters = [];
+  const singles = [];
+  for (const members of byRoot.values()) {
+    if (members.length > 1) clusters.push(members);
+    else singles.push(members[0]);
+  }
+  clusters.sort((a, b) => b.length - a.length || a[0] - b[0]);
+
+  return { clusters, singles, unknown };
+}
+
+async function resolveImageHashes(images, onProgress) {
+  const codes = await resolveColorCodes(images, onProgress, { needHash: true });
+  return codes.map((c) => (c && c.dHash) || null);
+}
+
+/**
+ * Порядок индексов с хэшем: кластеры цепочками, затем одиночки.
+ * Картинки без хэша сюда не входят — они в clusterByHash(...).unknown.
+ */
+function orderBySimilarity(hashes) {
+  const { clusters, singles } = clusterByHash(hashes);
+  return [
+    ...clusters.flatMap((members) => orderByHashChain(members, hashes)),
+    ...orderByHashChain(singles, hashes),
+  ];
+}
+
+/**
+ * Индексы начала рядов для режима «по ряду на кластер» (для planAlignment).
+ * Одиночки и картинки без хэша идут общим блоком.
+ */
+async function similarityRowBreaks(orderedImages) {
+  const hashes = await resolveImageHashes(orderedImages);
+  const { clusters } = clusterByHash(hashes);
+
+  const clusterOf = new Array(orderedImages.length).fill(-1);
+  clusters.forEach((members, c) => members.forEach((i) => (clusterOf[i] = c)));
+
+  const breaks = [];
+  for (let i = 1; i < orderedImages.length; i++) {
+    if (clusterOf[i] !== clusterOf[i - 1]) breaks.push(i);
+  }
+  return breaks;
+}
+
+/**
+ * Находит точные и почти точные дубли (расстояние dHash ≤ DUPLICATE_HASH_DISTANCE)
+ * среди картинок и мозаик. Теги у картинок Miro не поддерживаются, поэтому
+ * каждой пишем в metadata duplicateGroup (общий номер на группу дублей; у мозаики —
+ * на все тайлы) и выделяем их на доске. Группу потом можно собрать ключом
+ * сортировки «Metadata field… duplicateGroup». У остальных картинок выборки
+ * метка прошлых запусков стирается. Возвращает число найденных.
+ */
+async function markNearDuplicates(images) {
+  const hashes = await resolveImageHashes(images);
+
+  // Union-find: группа = связная компонента по парам дублей.
+  const parent = images.map((_, i) => i);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  const duplicates = new Set();
+  for (let i = 0; i < images.length; i++) {
+    if (!hashes[i]) continue;
+    for (let j = i + 1; j < images.length; j++) {
+      if (hashes[j] && hashDistance(hashes[i], hashes[j]) <= DUPLICATE_HASH_DISTANCE) {
+        duplicates.add(i);
+        duplicates.add(j);
+        parent[find(j)] = find(i);
+      }
+    }
+  }
+
+  const groupNumbers = new Map();
+  const groupOf = (i) => {
+    if (!duplicates.has(i)) return null;
+    const root = find(i);
+    if (!groupNumbers.has(root)) groupNumbers.set(root, groupNumbers.size + 1);
+    return groupNumbers.get(root);
+  };
+  const widgetsOf = (unit) => (unit.type === "mosaic" ? unit.items : [unit]);
+
+  const groups = images.map((_, i) => groupOf(i));
+  await Promise.all(
+    images.map(async (unit, i) => {
+      for (const widget of widgetsOf(unit)) {
+        try {
+          const meta = (await readAppMetadata(widget)) || {};
+          if (groups[i] !== null) {
+            if (meta.duplicateGroup === groups[i]) continue;
+            await widget.setMetadata(META_APP_ID, { ...meta, duplicateGroup: groups[i] });
+          } else if (meta.duplicateGroup !== undefined) {
+            const { duplicateGroup, ...rest } = meta;
+            await widget.setMetadata(META_APP_ID, rest);
+          }
+        } catch (e) {
+          console.warn("Marking duplicate failed:", widget.id, e);
+        }
+      }
+    })
+  );
+  if (!duplicates.size) return 0;
+
+  const ids = [...duplicates].flatMap((i) => widgetsOf(images[i]).map((w) => w.id));
+  try {
+    await board.deselect();
+    await board.select({ id: ids });
+  } catch (e) {
+    console.warn("Selecting duplicates failed:", e);
+  }
+  console.log(
+    "Near-duplicates:",
+    [...duplicates].map((i) => ({
+      group: groups[i],
+      title: getTitle(images[i]) || images[i].id,
+    }))
+  );
+  return duplicates.size;
+}
+
+// ---------- SORTING: multi-key ----------
+// Порядок задаётся упорядоченным списком ключей (каждый asc/desc), следующий
+// ключ решает только ничьи предыдущего. Пустые значения всегда в конце,
+// независимо от направления; полная ничья — исходный порядок.
+// Номер, natural, цвет, оттенок и цветовые группы сравниваются по своим
+// значениям. У gradient и similarity своего значения нет — берём позицию
+// картинки в их порядке; без палитры/хэша значение пустое.
+
+const SORT_KEY_DEFS = [
+  { value: "number", label: "Trailing number" },
+  { value: "natural", label: "Title (natural, all numbers)" },
+  { value: "title", label: "Title A–Z" },
+  { value: "prefix", label: "Title prefix (before number)" },
+  { value: "width", label: "Width" },
+  { value: "height", label: "Height" },
+  { value: "area", label: "Area" },
+  { value: "aspect", label: "Aspect ratio" },
+  { value: "color", label: "Color (saturation / brightness)" },
+  { value: "hue", label: "Hue wheel" },
+  { value: "gradient", label: "Gradient path" },
+  { value: "dominant", label: "Dominant color groups" },
+  { value: "similarity", label: "Visual similarity" },
+  { value: "meta", label: "Metadata field…" },
+];
+
+// Ключи, которым нужны пиксели (цвет, палитра, хэш).
+const ANALYSIS_SORT_KEYS = new Set(["color", "hue", "gradient", "dominant", "similarity"]);
+
+// Ряды по кластерам имеют смысл, только когда похожесть — главный ключ.
+function isSimilarityFirst(sortKeys) {
+  return Boolean(sortKeys && sortKeys.length && sortKeys[0].key === "similarity");
+}
+
+function sortKeysNeedAnalysis(sortKeys) {
+  return (sortKeys || []).some((k) => ANALYSIS_SORT_KEYS.has(k.key));
+}
+
+function getSortKeyValue(img, sortKey, meta, titleOf = getTitle) {
+  const title = stripColorCode(titleOf(img));
+  switch (sortKey.key) {
+    case "title":
+      return title.toLowerCase();
+    case "prefix":
+      return title.replace(/\d+(?!.*\d).*$/, "");
+    case "number":
+      return extractTrailingNumber(title);
+    case "natural":
+      return title || null;
+    case "width":
+      return img.width;
+    case "height":
+      return img.height;
+    case "area":
+      return img.width * img.height;
+    case "aspect":
+      return img.height ? img.width / img.height : null;
+    case "meta": {
+      const value = meta && sortKey.field ? meta[sortKey.field] : undefined;
+      if (value === undefined || value === null || value === "") return null;
+      return typeof value === "number" ? value : String(value);
+    }
+    default:
+      return null;
+  }
+}
+
+function compareSortValues(a, b, key, options = {}) {
+  // Составные значения (цвет, оттенок) — покомпонентно.
+  if (Array.isArray(a) && Array.isArray(b)) {
+    for (let i = 0; i < Math.min(a.length, b.length); i++) {
+      if (a[i] !== b[i]) return a[i] - b[i];
+    }
+    return a.length - b.length;
+  }
+  if (typeof a === "number" && typeof b === "number") return a - b;
+  if (key === "title") return a < b ? -1 : a > b ? 1 : 0;
+  if (key === "natural") return compareNaturalNames(a, b, options.naturalOptions || {});
+  return naturalCompare(String(a), String(b));
+}
+
+// Позиции в порядке; индексы, которых в нём нет, получают null.
+function positionsOf(order, count) {
+  const positions = new Array(count).fill(null);
+  order.forEach((index, position) => (positions[index] = position));
+  return positions;
+}
+
+/**
+ * Значения пиксельных ключей: Map ключ → массив по индексам картинок
+ * (null — нет кода/палитры/хэша). Коды читаются один раз на все ключи.
+ */
+async function resolveAnalysisKeyValues(images, keys, options = {}) {
+  const wanted = new Set(keys.map((k) => k.key).filter((key) => ANALYSIS_SORT_KEYS.has(key)));
+  const values = new Map();
+  if (!wanted.size) return values;
+
+  const codes = await resolveColorCodes(images, options.onProgress, {
+    needPalette: ["hue", "gradient", "dominant"].some((key) => wanted.has(key)),
+    needHash: wanted.has("similarity"),
+  });
+
+  if (wanted.has("color")) {
+    // Как в sortImagesByColor: группа по насыщенности, яркость, насыщенность.
+    values.set(
+      "color",
+      codes.map((c) =>
+        c ? [c.satCode <= SAT_GROUP_THRESHOLD ? 0 : 1, c.briCode, c.satCode] : null
+      )
+    );
+  }
+
+  // Серые — отдельной полосой перед цветными, от светлых к тёмным.
+  for (const mode of ["hue", "dominant"]) {
+    if (!wanted.has(mode)) continue;
+    values.set(
+      mode,
+      codes.map((c) => {
+        if (!c || !c.palette || !c.palette.length) return null;
+        const { gray, hsl } = paletteKeyColor(c.palette);
+        if (gray) return [0, -hsl.l];
+        return [1, mode === "hue" ? hsl.h : hueBucket(hsl.h), -hsl.l];
+      })
+    );
+  }
+
+  if (wanted.has("gradient")) {
+    values.set("gradient", positionsOf(orderByPaletteGradient(codes), images.length));
+  }
+
+  if (wanted.has("similarity")) {
+    const hashes = codes.map((c) => (c && c.dHash) || null);
+    values.set("similarity", positionsOf(orderBySimilarity(hashes), images.length));
+  }
+
+  for (const [key, list] of values) {
+    if (list.every((v) => v === null)) {
+      console.warn(`Sorting (keys): no image has data for "${key}"; the key is ignored.`);
+    }
+  }
+  return values;
+}
+
+async function sortImagesByKeys(images, sortKeys, options = {}) {
+  const keys = (sortKeys || []).filter((k) => k.key !== "meta" || k.field);
+  if (!keys.length) return sortImagesByNumber(images, options);
+
+  const needsMeta = keys.some((k) => k.key === "meta");
+  const metas = needsMeta
+    ? await Promise.all(
+        images.map((img) => (img.type === "mosaic" ? img.meta : readAppMetadata(img)))
+      )
+    : [];
+  const analysisValues = await resolveAnalysisKeyValues(images, keys, options);
+
+  // Как и прежний режим «по номеру»: без title нумеруем по геометрии.
+  let titleOf = getTitle;
+  if (keys.some((k) => k.key === "number")) {
+    ({ titleOf } = await numberUntitledByGeometry(images, options.dryRun));
+  }
+
+  const rows = images.map((img, index) => ({
+    img,
+    index,
+    values: keys.map((k) =>
+      analysisValues.has(k.key)
+        ? analysisValues.get(k.key)[index]
+        : getSortKeyValue(img, k, metas[index], titleOf)
+    ),
+  }));
+
+  rows.sort((a, b) => {
+    for (let k = 0; k < keys.length; k++) {
+      const va = a.values[k];
+      const vb = b.values[k];
+      if (va === null && vb === null) continue;
+      if (va === null) return 1;
+      if (vb === null) return -1;
+      const cmp = compareSortValues(va, vb, keys[k].key, options);
+      if (cmp !== 0) return keys[k].desc ? -cmp : cmp;
+    }
+    return a.index - b.index;
+  });
+
+  console.groupCollapsed("Sorting (keys) – values");
+  console.log(keys.map((k) => `${k.key}${k.field ? `:${k.field}` : ""} ${k.desc ? "desc" : "asc"}`));
+  rows.forEach((r) => console.log(titleOf(r.img) || r.img.id, "=>", r.values));
+  console.groupEnd();
+
+  return rows.map((r) => r.img);
+}
+
+function createSortKeyRow(sortKey = { key: "number", desc: false }) {
+  const row = document.createElement("div");
+  row.className = "sort-key-row";
+
+  const select = document.createElement("select");
+  select.className = "sort-key-select";
+  SORT_KEY_DEFS.forEach((def) => {
+    const option = document.createElement("option");
+    option.value = def.value;
+    option.textContent = def.label;
+    select.appendChild(option);
+  });
+  select.value = sortKey.key;
+
+  const field = document.createElement("input");
+  field.type = "text";
+  field.className = "sort-key-field";
+  field.placeholder = "field, e.g. fileName";
+  field.value = sortKey.field || "";
+  field.hidden = sortKey.key !== "meta";
+  select.addEventListener("change", () => {
+    field.hidden = select.value !== "meta";
+  });
+
+  const direction = document.createElement("button");
+  direction.type = "button";
+  direction.className = "sort-key-button sort-key-direction";
+  const setDirection = (desc) => {
+    direction.dataset.desc = desc ? "1" : "";
+    direction.textContent = desc ? "↓" : "↑";
+    direction.title = desc ? "Descending" : "Ascending";
+  };
+  setDirection(sortKey.desc);
+  direction.addEventListener("click", () => {
+    setDirection(!direction.dataset.desc);
+    schedulePreviewRefresh("sorting");
+  });
+
+  // Приоритет ключа = его место в списке; кнопки двигают строку на одну позицию.
+  const makeMoveButton = (text, title, move) => {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "sort-key-button";
+    button.textContent = text;
+    button.title = title;
+    button.addEventListener("click", () => {
+      if (move()) schedulePreviewRefresh("sorting");
+    });
+    return button;
+  };
+  const up = makeMoveButton("▲", "Move up (higher priority)", () => {
+    const prev = row.previousElementSibling;
+    if (!prev) return false;
+    row.parentNode.insertBefore(row, prev);
+    return true;
+  });
+  const down = makeMoveButton("▼", "Move down (lower priority)", () => {
+    const next = row.nextElementSibling;
+    if (!next) return false;
+    row.parentNode.insertBefore(next, row);
+    return true;
+  });
+
+  const remove = document.createElement("button");
+  remove.type = "button";
+  remove.className = "sort-key-button";
+  remove.textContent = "×";
+  remove.title = "Remove key";
+  remove.addEventListener("click", () => {
+    row.remove();
+    schedulePreviewRefresh("sorting");
+  });
+
+  row.append(select, field, direction, up, down, remove);
+  return row;
+}
+
+function readSortKeys() {
+  const list = document.getElementById("sortingKeysList");
+  if (!list) return [];
+  return Array.from(list.querySelectorAll(".sort-key-row")).map((row) => ({
+    key: row.querySelector(".sort-key-select").value,
+    field: row.querySelector(".sort-key-field").value.trim(),
+    desc: Boolean(row.querySelector(".sort-key-direction").dataset.desc),
+  }));
+}
+
+function initSortKeysBuilder() {
+  const list = document.getElementById("sortingKeysList");
+  const addButton = document.getElementById("sortingAddKeyButton");
+  if (!list || !addButton) return;
+
+  list.appendChild(createSortKeyRow());
+  addButton.addEventListener("click", () => {
+    list.appendChild(createSortKeyRow({ key: "natural", desc: false }));
+    schedulePreviewRefresh("sorting");
+  });
+}
+
+// ---------- SORTING: pixel color analysis ----------
+// Для картинок без кода в title (вставленные вручную, дубликаты, импорт
+// другими инструментами) считаем цвет по самим пикселям. Результат кладём
+// в metadata элемента, чтобы повторная сортировка не скачивала картинку.
+
+const COLOR_ANALYSIS_CONCURRENCY = 4;
+
+// id → { satCode, briCode, palette, dHash } или null (не удалось прочитать пиксели, CORS).
+const pixelColorCache = new Map();
+
+function parseTitleColorCode(title) {
+  const match = (title || "").match(/^C(\d{2})\/(\d{3})\s+/);
+  if (!match) return null;
+  return {
+    satCode: Number.parseInt(match[1], 10),
+    briCode: Number.parseInt(match[2], 10),
+  };
+}
+
+function isValidColorMeta(meta) {
+  return Boolean(
+    meta && Number.isFinite(meta.satCode) && Number.isFinite(meta.briCode)
+  );
+}
+
+async function loadBoardImageElement(image) {
+  // getDataUrl идёт через SDK и не упирается в CORS; url — запасной путь.
+  if (typeof image.getDataUrl === "function") {
+    try {
+      return await loadImage(await image.getDataUrl("preview"));
+    } catch (e) {
+      console.warn("getDataUrl failed, trying image url:", image.id, e);
+    }
+  }
+  if (!image.url) throw new Error("image has no url");
+  return loadImage(image.url);
+}
+
+/**
+ * Считает коды цвета, палитру и dHash по пикселям картинки на доске.
+ * Возвращает { satCode, briCode, palette, dHash } или null, если пиксели недоступны.
+ */
+async function analyzeBoardImageColor(image) {
+  let imgEl;
+  try {
+    imgEl = await loadBoardImageElement(image);
+  } catch (e) {
+    console.warn("Sorting (color): cannot load image (CORS?):", image.id, e);
+    return null;
+  }
+
+  const res = getBrightnessAndSaturationFromImageElement(imgEl);
+  const palette = res ? getPaletteFromImageElement(imgEl) : null;
+  const dHash = res ? getDHashFromImageElement(imgEl) : null;
+  try { imgEl.src = ""; } catch (e) {}
+  if (!res) return null;
+
+  return {
+    ...colorCodesFromMeasurement(res.brightness, res.saturation),
+    palette,
+    dHash,
+  };
+}
+
+/**
+ * Коды цвета (а также палитра при needPalette и dHash при needHash) для
+ * каждого элемента, в том же порядке: metadata → title → анализ пикселей
+ * (с записью в metadata). Элемент без данных — null.
+ * onProgress(done, total) вызывается по мере анализа.
+ */
+async function resolveColorCodes(images, onProgress, options = {}) {
+  const { needPalette = false, needHash = false } = options;
+  const codes = new Array(images.length).fill(null);
+  const toAnalyze = [];
+
+  await Promise.all(
+    images.map(async (img, i) => {
+      // У мозаики metadata берём с тайла (createMosaicUnit кладёт её в unit.meta).
+      const meta = img.type === "mosaic" ? img.meta : await readAppMetadata(img);
+      const metaPalette = meta && Array.isArray(meta.palette) ? meta.palette : null;
+      const metaHash = meta && isValidHash(meta.dHash) ? meta.dHash : null;
+      // Недостающее можно досчитать только для настоящих картинок.
+      const complete =
+        img.type !== "image" ||
+        ((metaPalette || !needPalette) && (metaHash || !needHash));
+
+      if (isValidColorMeta(meta) && complete) {
+        codes[i] = {
+          satCode: meta.satCode,
+          briCode: meta.briCode,
+          palette: metaPalette,
+          dHash: metaHash,
+          source: "metadata",
+        };
+        return;
+      }
+
+      // Старые доски: код только в title.
+      const fromTitle = parseTitleColorCode(getTitle(img));
+      if (fromTitle && complete) {
+        codes[i] = { ...fromTitle, palette: metaPalette, dHash: metaHash, source: "title" };
+        return;
+      }
+      // Мозаики без кода и прочие не-картинки пропускаем.
+      if (img.type !== "image") return;
+
+      if (pixelColorCache.has(img.id)) {
+        const cached = pixelColorCache.get(img.id);
+        if (cached) codes[i] = { ...cached, source: "pixels" };
+        return;
+      }
+      toAnalyze.push({ img, index: i, meta });
+    })
+  );
+
+  if (!toAnalyze.length) return codes;
+
+  let cursor = 0;
+  let done = 0;
+  let failed = 0;
+  if (onProgress) onProgress(0, toAnalyze.length);
+
+  const runners = new Array(COLOR_ANALYSIS_CONCURRENCY).fill(0).map(async () => {
+    while (cursor < toAnalyze.length) {
+      const { img, index, meta } = toAnalyze[cursor];
+      cursor += 1;
+
+      const code = await analyzeBoardImageColor(img);
+      pixelColorCache.set(img.id, code);
+
+      if (code) {
+        codes[index] = { ...code, source: "pixels" };
+        try {
+          await img.setMetadata(META_APP_ID, {
+            ...(meta || {}),
+            satCode: code.satCode,
+            briCode: code.briCode,
+            palette: code.palette,
+            dHash: code.dHash,
+          });
+        } catch (e) {
+          console.warn("setMetadata failed:", img.id, e);
+        }
+      } else {
+        failed += 1;
+      }
+
+      done += 1;
+      if (onProgress) onProgress(done, toAnalyze.length);
+    }
+  });
+  await Promise.all(runners);
+
+  if (failed) {
+    await board.notifications.showInfo(
+      `Could not read pixels of ${failed} image${
+        failed === 1 ? "" : "s"
+      } (blocked by CORS?); they are placed after the sorted ones.`
+    );
+  }
+
+  return codes;
+}
+
+// ---------- SORTING: color codes in titles ----------
+// Миграция старых досок: снять префикс C##/### с выделения (коды при этом
+// сохраняются в metadata) или вернуть его обратно. Оба действия отменяются
+// через Revert.
+
+async function handleColorCodeTitlesClick(mode) {
+  try {
+    const images = (await getSelectedImages()).filter((img) => img.type === "image");
+    if (!images.length) {
+      await board.notifications.showInfo("Select at least one image on the board.");
+      return;
+    }
+
+    // strip трогает только title с кодом, restore — только без кода.
+    const candidates = images.filter((img) => {
+      const hasCode = stripColorCode(getTitle(img)) !== getTitle(img);
+      return mode === "strip" ? hasCode : !hasCode;
+    });
+
+    const progressEl = document.getElementById("sortingProgress");
+    const codes = await resolveColorCodes(candidates, (done, total) => {
+      if (progressEl) progressEl.textContent = `Analyzing colors: ${done} / ${total}`;
+    });
+    if (progressEl) progressEl.textContent = "";
+
+    const changes = [];
+    candidates.forEach((img, i) => {
+      const title = getTitle(img);
+      if (mode === "strip") {
+        changes.push({ img, title: stripColorCode(title), code: codes[i] });
+      } else if (codes[i]) {
+        const prefix = formatColorCode(codes[i].satCode, codes[i].briCode);
+        changes.push({ img, title: `${prefix} ${title}` });
+      }
+    });
+
+    if (!changes.length) {
+      await board.notifications.showInfo(
+        mode === "strip"
+          ? "No color codes found in the selected titles."
+          : "Nothing to restore: titles already have codes or colors are unknown."
+      );
+      return;
+    }
+
+    await pushUndoSnapshot(
+      changes.map((c) => c.img),
+      mode === "strip" ? "Strip color codes" : "Restore color codes"
+    );
+
+    for (const change of changes) {
+      // Перед тем как убрать код из title, убеждаемся, что он есть в metadata.
+      if (change.code && change.code.source === "title") {
+        const meta = (await readAppMetadata(change.img)) || {};
+        try {
+          await change.img.setMetadata(META_APP_ID, {
+            ...meta,
+            satCode: change.code.satCode,
+            briCode: change.code.briCode,
+          });
+        } catch (e) {
+          console.warn("setMetadata failed:", change.img.id, e);
+        }
+      }
+      change.img.title = change.title;
+      await change.img.sync();
+    }
+
+    await board.notifications.showInfo(
+      `${mode === "strip" ? "Stripped" : "Restored"} color codes on ${changes.length} image${
+        changes.length === 1 ? "" : "s"
+      }.`
+    );
+  } catch (err) {
+    console.error(err);
+    await board.notifications.showError(
+      "Something went wrong while updating titles. Please check the console."
+    );
+  }
+}
+
+// ---------- SORTING: undo history ----------
+// Перед каждым запуском Sorting сохраняем геометрию и title всех затронутых
+// изображений. История хранится в localStorage отдельно для каждой доски,
+// поэтому переживает перезагрузку панели.
+
+const UNDO_HISTORY_LIMIT = 5;
+
+let boardIdCache = null;
+
+async function getBoardStorageKey(suffix) {
+  if (!boardIdCache) {
+    try {
+      const info = await board.getInfo();
+      boardIdCache = info && info.id ? info.id : "unknown";
+    } catch (e) {
+      console.warn("getInfo failed, using shared storage key:", e);
+      boardIdCache = "unknown";
+    }
+  }
+  return `${META_APP_ID}:${boardIdCache}:${suffix}`;
+}
+
+function readStoredJson(key, fallback) {
+  try {
+    const raw = window.localStorage.getItem(key);
+    return raw ? JSON.parse(raw) : fallback;
+  } catch (e) {
+    console.warn("localStorage read failed:", key, e);
+    return fallback;
+  }
+}
+
+function writeStoredJson(key, value) {
+  try {
+    window.localStorage.setItem(key, JSON.stringify(value));
+    return true;
+  } catch (e) {
+    console.warn("localStorage write failed:", key, e);
+    return false;
+  }
+}
+
+function snapshotItemGeometry(items) {
+  return items.map((item) => ({
+    id: item.id,
+    x: item.x,
+    y: item.y,
+    width: item.width,
+    height: item.height,
+    title: getTitle(item),
+  }));
+}
+
+async function loadUndoHistory() {
+  const key = await getBoardStorageKey("undo");
+  const history = readStoredJson(key, []);
+  return Array.isArray(history) ? history : [];
+}
+
+async function saveUndoHistory(history) {
+  const key = await getBoardStorageKey("undo");
+  let trimmed = history.slice(-UNDO_HISTORY_LIMIT);
+
+  // Если не влезли в квоту — выкидываем самые старые записи.
+  while (trimmed.length && !writeStoredJson(key, trimmed)) {
+    trimmed = trimmed.slice(1);
+  }
+  if (!trimmed.length) {
+    try {
+      window.localStorage.removeItem(key);
+    } catch (_) {}
+  }
+}
+
+async function pushUndoSnapshot(items, label) {
+  if (!items.length) return;
+  const history = await loadUndoHistory();
+  history.push({
+    ts: Date.now(),
+    label,
+    items: snapshotItemGeometry(items),
+  });
+  await saveUndoHistory(history);
+  await refreshRevertButton();
+}
+
+// Дописывает данные к последней записи истории (например, созданные группы).
+async function attachToLastUndoEntry(extra) {
+  const history = await loadUndoHistory();
+  if (!history.length) return;
+  Object.assign(history[history.length - 1], extra);
+  await saveUndoHistory(history);
+}
+
+async function refreshRevertButton() {
+  const button = document.getElementById("sortingRevertButton");
+  if (!button) return;
+  const history = await loadUndoHistory();
+  button.disabled = history.length === 0;
+  button.textContent = history.length
+    ? `Revert last alignment (${history.length})`
+    : "Revert last alignment";
+}
+
+async function handleRevertClick() {
+  const button = document.getElementById("sortingRevertButton");
+  if (button) button.disabled = true;
+
+  try {
+    const history = await loadUndoHistory();
+    const entry = history.pop();
+    if (!entry) {
+      await board.notifications.showInfo("Nothing to revert.");
+      return;
+    }
+
+    const ids = entry.items.map((s) => s.id);
+    const items = ids.length ? await board.get({ id: ids }) : [];
+    const itemById = new Map(items.map((item) => [item.id, item]));
+
+    const restored = [];
+    for (const snap of entry.items) {
+      const item = itemById.get(snap.id);
+      if (!item) continue;
+
+      // У изображений пропорции фиксированы: достаточно вернуть ширину.
+      if (item.width !== snap.width) item.width = snap.width;
+      item.x = snap.x;
+      item.y = snap.y;
+      if ("title" in item && getTitle(item) !== snap.title) item.title = snap.title;
+      restored.push(item);
+    }
+
+    for (const groupId of entry.createdGroupIds || []) {
+      try {
+        const group = await board.getById(groupId);
+        if (group && group.type === "group") await group.ungroup();
+      } catch (e) {
+        console.warn("Revert: failed to ungroup", groupId, e);
+      }
+    }
+
+    await Promise.all(restored.map((item) => item.sync()));
+    await saveUndoHistory(history);
+
+    const missing = entry.items.length - restored.length;
+    await board.notifications.showInfo(
+      `Reverted ${restored.length} image${restored.length === 1 ? "" : "s"}` +
+        (missing ? ` (${missing} no longer on the board).` : ".")
+    );
+  } catch (err) {
+    console.error(err);
+    await board.notifications.showError(
+      "Something went wrong while reverting. Please check the console."
+    );
+  } finally {
+    await refreshRevertButton();
+  }
+}
+
+// ---------- SORTING handler ----------
+
+// Поля раскладки одинаковые в обеих вкладках, отличаются префиксом id.
+function readCellConfig(form, prefix) {
+  const field = (name) => form.elements[`${prefix}${name}`];
+  return {
+    cellMode: field("CellMode") ? field("CellMode").value : "packed",
+    cellWidth: field("CellWidth") ? Number(field("CellWidth").value) || 0 : 0,
+    cellHeight: field("CellHeight") ? Number(field("CellHeight").value) || 0 : 0,
+    cellAlign: field("CellAlign") ? field("CellAlign").value : "center",
+    fitToCell: field("FitToCell") ? field("FitToCell").checked : false,
+    layoutWidth: field("LayoutWidth") ? Number(field("LayoutWidth").value) || 0 : 0,
+    packAspect: field("PackAspect") ? parseAspectRatio(field("PackAspect").value) || 1 : 1,
+    packKeepOrder: field("PackKeepOrder") ? field("PackKeepOrder").checked : false,
+  };
+}
+
+function readGridShapeConfig(form, prefix) {
+  const field = (name) => form.elements[`${prefix}${name}`];
+  return {
+    gridShape: field("GridShape") ? field("GridShape").value : "columns",
+    gridAspect: field("GridAspect") ? parseAspectRatio(field("GridAspect").value) || 1 : 1,
+  };
+}
+
+function updateGridShapeLabel(prefix) {
+  const shapeEl = document.getElementById(`${prefix}GridShape`);
+  const labelEl = document.querySelector(`label[for="${prefix}ImagesPerRow"]`);
+  if (!shapeEl || !labelEl) return;
+  labelEl.textContent =
+    shapeEl.value === "rows" ? "Rows" : shapeEl.value === "columns" ? "Columns" : "Columns (auto)";
+}
+
+function readSortingConfig(form) {
+  return {
+    imagesPerRow: Number(form.sortingImagesPerRow.value) || 1,
+    horizontalGap: Number(form.sortingHorizontalGap.value) || 0,
+    verticalGap: Number(form.sortingVerticalGap.value) || 0,
+    sizeMode: form.sortingSizeMode.value,
+    startCorner: form.sortingStartCorner.value,
+    groupMosaics: form.sortingGroupMosaics
+      ? form.sortingGroupMosaics.checked
+      : false,
+    clusterRows: form.sortingClusterRows ? form.sortingClusterRows.checked : false,
+    markDuplicates: form.sortingMarkDuplicates
+      ? form.sortingMarkDuplicates.checked
+      : false,
+    sortKeys: readSortKeys(),
+    fillOrder: form.sortingFillOrder ? form.sortingFillOrder.value : "rows",
+    ...readGridShapeConfig(form, "sorting"),
+    ...readCellConfig(form, "sorting"),
+    naturalOptions: {
+      ignoreCase: form.sortingNaturalIgnoreCase
+        ? form.sortingNaturalIgnoreCase.checked
+        : true,
+      ignoreExtension: form.sortingNaturalIgnoreExt
+        ? form.sortingNaturalIgnoreExt.checked
+        : false,
+    },
+  };
+}
+
+async function orderImagesForSorting(images, sortKeys, options = {}) {
+  return sortImagesByKeys(images, sortKeys, options);
+}
+
+async function getSelectedImages() {
+  const selection = await board.getSelection();
+  const images = selection.filter((i) => i.type === "image");
+
+  // Сгруппированные мозаики выделяются как group — разворачиваем их.
+  const seen = new Set(images.map((img) => img.id));
+  for (const group of selection.filter((i) => i.type === "group")) {
+    let children = [];
+    try {
+      children = await group.getItems();
+    } catch (e) {
+      console.warn("group.getItems failed:", group.id, e);
+    }
+    for (const child of children) {
+      if (child.type === "image" && !seen.has(child.id)) {
+        seen.add(child.id);
+        images.push(child);
+      }
+    }
+  }
+  return images;
+}
+
+/**
+ * Тайлы одной нарезанной мозаики как единый жёсткий блок для Sorting.
+ * Объект ведёт себя как изображение (x, y, width, height, title, sync()):
+ * sync() переносит и масштабирует все тайлы, сохраняя их взаимное положение.
+ */
+function createMosaicUnit(copy, meta) {
+  const layout = computeMosaicLayout(copy);
+  const anchor = layout.tiles[0];
+  const left = anchor.item.x - anchor.dx;
+  const top = anchor.item.y - anchor.dy;
+
+  const tiles = layout.tiles.map((t) => ({
+    item: t.item,
+    dx: t.dx,
+    dy: t.dy,
+    baseWidth: t.item.width,
+  }));
+
+  const unit = {
+    type: "mosaic",
+    id: `mosaic:${copy.fileName}:${anchor.item.id}`,
+    fileName: copy.fileName,
+    // Коды цвета сортировка берёт из unit.meta, в title они не нужны.
+    title: copy.fileName,
+    x: left + layout.width / 2,
+    y: top + layout.height / 2,
+    width: layout.width,
+    height: layout.height,
+    items: tiles.map((t) => t.item),
+    meta,
+
+    async sync() {
+      const scale = unit.width / layout.width;
+      unit.height = layout.height * scale;
+      const blockLeft = unit.x - unit.width / 2;
+      const blockTop = unit.y - unit.height / 2;
+
+      for (const t of tiles) {
+        if (scale !== 1) t.item.width = t.baseWidth * scale;
+        t.item.x = blockLeft + t.dx * scale;
+        t.item.y = blockTop + t.dy * scale;
+      }
+      await Promise.all(tiles.map((t) => t.item.sync()));
+    },
+  };
+
+  return unit;
+}
+
+/**
+ * Заменяет тайлы нарезанных изображений (metadata с fileName/tileIndex)
+ * на блоки-мозаики; остальные изображения возвращаются как есть.
+ */
+async function collectSortingUnits(images) {
+  const metas = await Promise.all(images.map(readAppMetadata));
+
+  const units = [];
+  const tiles = [];
+  images.forEach((img, i) => {
+    if (isMosaicTileMeta(metas[i])) tiles.push({ item: img, meta: metas[i] });
+    else units.push(img);
+  });
+
+  const metaByItem = new Map(tiles.map((t) => [t.item, t.meta]));
+  for (const copy of groupMosaicTiles(tiles)) {
+    const firstItem = copy.byIndex.values().next().value;
+    units.push(createMosaicUnit(copy, metaByItem.get(firstItem)));
+  }
+
+  return units;
+}
+
+async function groupMosaicUnits(units) {
+  const createdGroupIds = [];
+  let failed = 0;
+
+  for (const unit of units) {
+    if (unit.type !== "mosaic") continue;
+
+    // Уже сгруппированы вместе — ничего не делаем.
+    const groupIds = new Set(unit.items.map((item) => item.groupId || ""));
+    if (groupIds.size === 1 && !groupIds.has("")) continue;
+
+    try {
+      const group = await board.group({ items: unit.items });
+      createdGroupIds.push(group.id);
+    } catch (e) {
+      failed += 1;
+      console.warn("Grouping mosaic failed:", unit.fileName, e);
+    }
+  }
+
+  if (failed) {
+    await board.notifications.showInfo(
+      `Could not group ${failed} mosaic${failed === 1 ? "" : "s"} (already in another group?).`
+    );
+  }
+  return createdGroupIds;
+}
+
+async function handleSortingSubmit(event) {
+  event.preventDefault();
+
+  try {
+    const form = document.getElementById("sorting-form");
+    if (!form) return;
+
+    const config = readSortingConfig(form);
+
+    let images = await getSelectedImages();
+
+    // Если превью открыто, а выделение уже сброшено — берём картинки из превью.
+    if (!images.length && previewState.tab === "sorting") {
+      images = previewState.images || [];
+    }
+    await clearPreview();
+
+    if (!images.length) {
+      await board.notifications.showInfo(
+        "Select at least one image on the board."
+      );
+      return;
+    }
+
+    if (config.imagesPerRow < 1) {
+      await board.notifications.showError("“Columns / Rows” must be greater than 0.");
+      return;
+    }
+
+    await pushUndoSnapshot(images, "Sorting");
+
+    if (sortKeysNeedAnalysis(config.sortKeys)) {
+      await board.notifications.showInfo("Analyzing image colors…");
+    }
+    const progressEl = document.getElementById("sortingProgress");
+    const units = await collectSortingUnits(images);
+    const orderedImages = await orderImagesForSorting(units, config.sortKeys, {
+      naturalOptions: config.naturalOptions,
+      onProgress: (done, total) => {
+        if (progressEl) progressEl.textContent = `Analyzing colors: ${done} / ${total}`;
+      },
+    });
+    if (progressEl) progressEl.textContent = "";
+
+    if (isSimilarityFirst(config.sortKeys) && config.clusterRows) {
+      config.rowBreaks = await similarityRowBreaks(orderedImages);
+    }
+
+    const shapeNote = describeGridShapeMismatch(orderedImages.length, config);
+    if (shapeNote) await board.notifications.showInfo(shapeNote);
+
+    await alignImagesInGivenOrder(orderedImages, config);
+
+    if (config.groupMosaics) {
+      const createdGroupIds = await groupMosaicUnits(orderedImages);
+      if (createdGroupIds.length) await attachToLastUndoEntry({ createdGroupIds });
+    }
+
+    // Тайлы одной мозаики одинаковы по хэшу — поэтому по юнитам, не по тайлам.
+    let duplicates = 0;
+    if (config.markDuplicates) {
+      duplicates = await markNearDuplicates(orderedImages);
+    }
+
+    await board.notifications.showInfo(
+      `Done: aligned ${orderedImages.length} image${
+        orderedImages.length === 1 ? "" : "s"
+      }${
+        duplicates
+          ? `, ${duplicates} near-duplicates selected (metadata field duplicateGroup)`
+          : ""
+      }.`
+    );
+  } catch (err) {
+    console.error(err);
+    await board.notifications.showError(
+      "Something went wrong while aligning images. Please check the console."
+    );
+  }
+}
+
+// ---------- STITCH/S SLICE helpers ----------
+
+function readFileAsDataUrl(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = reject;
+    reader.readAsDataURL(file);
+  });
+}
+
+// Детерминированный PRNG для перемешивания с сидом (mulberry32).
+function createSeededRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function generateShuffleSeed() {
+  return Math.floor(Math.random() * 1000000) + 1;
+}
+
+/**
+ * Порядок файлов, в именах которых нет номеров. fallback:
+ *   "alpha" | "mtime" | "size" | "dimensions" | "aspect" | "color" | "shuffle".
+ * Размеры и цвет берутся из infoByFile (результат Stage 1); при равенстве —
+ * по имени. "shuffle" перемешивает с сидом, поэтому повторяется.
+ */
+function orderFilesWithoutNumbers(arr, nameOrder = {}, infoByFile = new Map()) {
+  const { fallback = "alpha", seed } = nameOrder;
+
+  if (fallback === "shuffle") {
+    const byName = [...arr].sort((a, b) => naturalCompare(a.name, b.name) || a.index - b.index);
+    const random = createSeededRandom(Number(seed) || 1);
+    for (let i = byName.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [byName[i], byName[j]] = [byName[j], byName[i]];
+    }
+    console.log("Stitch/Slice: no numbers in names, shuffled with seed", Number(seed) || 1);
+    return byName;
+  }
+
+  const keyOf = (m) => {
+    const info = infoByFile.get(m.file);
+    switch (fallback) {
+      case "mtime":
+        return m.file.lastModified || 0;
+      case "size":
+        return m.file.size || 0;
+      case "dimensions":
+        return info ? info.width * info.height : 0;
+      case "aspect":
+        return info ? info.width / info.height : 0;
+      case "color": {
+        if (!info) return 0;
+        const group = info.satCode <= SAT_GROUP_THRESHOLD ? 0 : 1;
+        return group * 1e6 + info.briCode * 100 + info.satCode;
+      }
+      default:
+        return 0;
+    }
+  };
+
+  console.log("Stitch/Slice: no numbers in names, ordering by", fallback);
+  return [...arr]
+    .map((m) => ({ m, key: keyOf(m) }))
+    .sort(
+      (a, b) =>
+        a.key - b.key || naturalCompare(a.m.name, b.m.name) || a.m.index - b.m.index
+    )
+    .map((entry) => entry.m);
+}
+
+function sortFilesByNameWithNumber(files, nameOrder, infoByFile) {
+  const arr = Array.from(files).map((file, index) => {
+    const name = file.name || "";
+    const lower = name.toLowerCase();
+    const num = extractTrailingNumber(name);
+    return {
+      file,
+      index,
+      name,
+      lower,
+      hasNumber: num !== null,
+      num,
+    };
+  });
+
+  console.groupCollapsed("Stitch/Slice – files & numbers");
+  arr.forEach((m) => console.log(m.name, "=>", m.num));
+  console.groupEnd();
+
+  const anyHasNumber = arr.some((m) => m.hasNumber);
+
+  if (!anyHasNumber) {
+    return orderFilesWithoutNumbers(arr, nameOrder, infoByFile).map((m) => m.file);
+  } else {
+    arr.sort((a, b) => {
+      if (a.hasNumber && !b.hasNumber) return -1;
+      if (!a.hasNumber && b.hasNumber) return 1;
+
+      if (a.hasNumber && b.hasNumber) {
+        if (a.num !== b.num) return a.num - b.num;
+        if (a.lower < b.lower) return -1;
+        if (a.lower > b.lower) return 1;
+        return a.index - b.index;
+      }
+
+      if (a.lower < b.lower) return -1;
+      if (a.lower > b.lower) return 1;
+      return a.index - b.index;
+    });
+  }
+
+  return arr.map((m) => m.file);
+}
+
+function canvasToDataUrlUnderLimit(canvas, maxBytes = TARGET_URL_BYTES) {
+  // Цель: держать качество около 0.8–0.85 (примерно Photoshop 10–11),
+  // но при этом НИКОГДА не пробивать жесткий лимит Miro по размеру dataURL.
+  //
+  // Алгоритм:
+  // 1) Пробуем уложиться в target (maxBytes) качеством 0.85 → 0.82 → 0.80.
+  // 2) Если target не достигается при 0.80 — оставляем 0.80 (размер будет больше target, но качество лучше).
+  // 3) Если даже так превышаем жесткий лимит MAX_URL_BYTES — тогда уже снижаем качество ниже 0.80,
+  //    пока не уложимся в MAX_URL_BYTES (чтобы не было падений/пропусков).
+
+  const hardLimit = MAX_URL_BYTES;
+  const target = Math.min(maxBytes, hardLimit);
+
+  const tryQualities = [0.85, 0.82, 0.8];
+  for (const q of tryQualities) {
+    const dataUrl = canvas.toDataURL("image/jpeg", q);
+    if (dataUrl.length <= target) return dataUrl;
+  }
+
+  // Не влезли в target при 0.8 — оставляем 0.8 (это сознательный компромисс ради качества).
+  let quality = 0.8;
+  let dataUrl = canvas.toDataURL("image/jpeg", quality);
+  if (dataUrl.length <= hardLimit) return dataUrl;
+
+  // Крайний случай: даже при 0.8 пробиваем hardLimit — уменьшаем качество, чтобы гарантированно не падать.
+  const HARD_MIN_Q = 0.25;
+  while (dataUrl.length > hardLimit && quality > HARD_MIN_Q) {
+    quality -= 0.05;
+    dataUrl = canvas.toDataURL("image/jpeg", quality);
+  }
+
+  // Последняя страховка
+  if (dataUrl.length > hardLimit) {
+    dataUrl = canvas.toDataURL("image/jpeg", HARD_MIN_Q);
+  }
+
+  return dataUrl;
+}
+
+
+/**
+ * Центры слотов Stitch/Slice вокруг viewCenter.
+ * layout — зазоры, fillOrder и настройки клеток (см. planGridLayout); если картинка
+ * вписывается в клетку другого размера, у центра есть width.
+ */
+function computeVariableSlotCenters(
+  orderedInfos,
+  imagesPerRow,
+  startCorner,
+  viewCenterX,
+  viewCenterY,
+  layout = {}
+) {
+  if (!orderedInfos.length) return [];
+
+  const sizes = orderedInfos.map((info) => ({ width: info.width, height: info.height }));
+  const grid = planGridLayout(sizes, { ...layout, imagesPerRow, startCorner });
+
+  return grid.slots.map((slot, i) => {
+    const center = {
+      x: viewCenterX + slot.x - grid.width / 2,
+      y: viewCenterY + slot.y - grid.height / 2,
+    };
+    if (slot.width !== sizes[i].width) center.width = slot.width;
+    return center;
+  });
+}
+
+/**
+ * Skip missing tiles: номер файла — его клетка, пропуски в нумерации
+ * остаются пустыми клетками. В режиме uniform клетка общая; иначе ширина
+ * колонки / высота ряда — максимум по её файлам (пустые линии — максимум
+ * по всем), картинка по центру клетки. Нарезаемая мозаика занимает клетку целиком.
+ */
+function computeSkipMissingSlotCenters(
+  tileInfos,
+  imagesPerRow,
+  startCorner,
+  viewCenterX,
+  viewCenterY,
+  layout = {}
+) {
+  if (!tileInfos.length) return [];
+
+  const nums = tileInfos.map((n) => n.num);
+  const minNum = Math.min(...nums);
+  const maxNum = Math.max(...nums);
+
+  const uniform = layout.cellMode === "uniform";
+  const infos = tileInfos.map((t) => t.info);
+  const cell = resolveCellSize(infos, uniform ? layout : {});
+
+  // Сетка рассчитана на все номера диапазона, включая отсутствующие, но
+  // клетку каждого файла считаем по его номеру, не перебирая весь диапазон.
+  const totalSlots = maxNum - minNum + 1;
+  const { fillOrder } = layout;
+  const shape = { ...layout, imagesPerRow };
+  const columns = resolveGridColumnsForCells(totalSlots, cell, shape);
+  const columnLength = fixedColumnLength(shape);
+  const { rows, cols } = fillGridSize(totalSlots, columns, fillOrder, columnLength);
+  // Спираль по индексу не считается; диапазон ограничен SKIP_MISSING_MAX_SLOTS.
+  const spiral = fillOrder === "spiral" ? spiralCells(totalSlots, cols, rows) : null;
+
+  const { flipX, flipY } = cornerFlips(startCorner);
+  const cellOf = (num) => {
+    const index = num - minNum;
+    const { row, col } = spiral
+      ? spiral[index]
+      : fillCellAt(index, totalSlots, columns, fillOrder, columnLength);
+    return { row: flipY ? rows - 1 - row : row, col: flipX ? cols - 1 - col : col };
+  };
+
+  const colWidths = new Array(cols).fill(uniform ? cell.width : 0);
+  const rowHeights = new Array(rows).fill(uniform ? cell.height : 0);
+  if (!uniform) {
+    for (const { info, num } of tileInfos) {
+      const { row, col } = cellOf(num);
+      colWidths[col] = Math.max(colWidths[col], info.width);
+      rowHeights[row] = Math.max(rowHeights[row], info.height);
+    }
+    for (let c = 0; c < cols; c++) if (!colWidths[c]) colWidths[c] = cell.width;
+    for (let r = 0; r < rows; r++) if (!rowHeights[r]) rowHeights[r] = cell.height;
+  }
+
+  const { horizontalGap = 0, verticalGap = 0 } = layout;
+  const colLeft = [0];
+  for (let c = 1; c < cols; c++) colLeft[c] = colLeft[c - 1] + colWidths[c - 1] + horizontalGap;
+  const rowTop = [0];
+  for (let r = 1; r < rows; r++) rowTop[r] = rowTop[r - 1] + rowHeights[r - 1] + verticalGap;
+
+  const gridWidth = colLeft[cols - 1] + colWidths[cols - 1];
+  const gridHeight = rowTop[rows - 1] + rowHeights[rows - 1];
+
+  const centersByFileId = new Map();
+
+  for (const { info, num } of tileInfos) {
+    const { row, col } = cellOf(num);
+    const left = viewCenterX - gridWidth / 2 + colLeft[col];
+    const top = viewCenterY - gridHeight / 2 + rowTop[row];
+
+    if (uniform) {
+      const slot = placeInCell(info, left, top, cell, layout);
+      const center = { x: slot.x, y: slot.y };
+      if (slot.width !== info.width) center.width = slot.width;
+      centersByFileId.set(info.file, center);
+      continue;
+    }
+
+    centersByFileId.set(info.file, {
+      x: left + colWidths[col] / 2,
+      y: top + rowHeights[row] / 2,
+    });
+  }
+
+  return centersByFileId;
+}
+
+// ---------- STITCH/SLICE: row/column from file names ----------
+// Шаблон имени с {row} и {col} (tile_r{row}_c{col}, x{col}_y{row}, * — любые
+// символы) или регулярка /.../ с именованными группами row и col. Каждый файл
+// ставится прямо в свою клетку, отсутствующие тайлы остаются дырами.
+
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\/]/g, "\\$&");
+}
+
+/**
+ * Регулярка для шаблона координат или null, если в нём нет {row} и {col}
+ * (или регулярка невалидна).
+ */
+function compileCoordTemplate(template) {
+  const text = (template || "").trim();
+  if (!text) return null;
+
+  const asRegex = text.match(/^\/(.*)\/([a-z]*)$/);
+  if (asRegex) {
+    try {
+      // g / y делают exec зависимым от lastIndex — каждый второй файл не совпал бы.
+      const re = new RegExp(asRegex[1], asRegex[2].replace(/[gy]/g, ""));
+      return /\(\?<row>/.test(asRegex[1]) && /\(\?<col>/.test(asRegex[1]) ? re : null;
+    } catch (e) {
+      console.warn("Stitch/Slice: invalid coordinate regex", text, e);
+      return null;
+    }
+  }
+
+  if (!text.includes("{row}") || !text.includes("{col}")) return null;
+  const source = text
+    .split(/(\{row\}|\{col\}|\*)/)
+    .map((part) => {
+      if (part === "{row}") return "(?<row>\\d+)";
+      if (part === "{col}") return "(?<col>\\d+)";
+      if (part === "*") return ".*?";
+      return escapeRegExp(part);
+    })
+    .join("");
+  return new RegExp(source, "i");
+}
+
+function parseTileCoords(name, matcher, base) {
+  const match = matcher.exec(name);
+  if (!match || !match.groups) return null;
+  const row = Number.parseInt(match.groups.row, 10) - base;
+  const col = Number.parseInt(match.groups.col, 10) - base;
+  if (!Number.isFinite(row) || !Number.isFinite(col) || row < 0 || col < 0) return null;
+  return { row, col };
+}
+
+/**
+ * Центры для режима «по координатам из имени» (в порядке orderedInfos).
+ * Ширина колонки / высота ряда — максимум по его тайлам (для пустых —
+ * максимум по всем), тайлы прижаты к левому верхнему краю клетки, поэтому
+ * укороченные крайние тайлы стыкуются без щелей. Файлы без координат и
+ * повторы клеток идут обычной сеткой под основной.
+ */
+function computeCoordSlotCenters(orderedInfos, options, viewCenterX, viewCenterY) {
+  const { coordTemplate, coordBase = 0, rowsUp = false, colsLeft = false } = options;
+  const { horizontalGap = 0, verticalGap = 0 } = options;
+  const matcher = compileCoordTemplate(coordTemplate);
+
+  const placed = [];
+  const rest = [];
+  const taken = new Set();
+  orderedInfos.forEach((info, index) => {
+    const coords = matcher ? parseTileCoords(info.file.name || "", matcher, coordBase) : null;
+    const key = coords && `${coords.row}:${coords.col}`;
+    if (!coords || taken.has(key)) {
+      rest.push(index);
+      return;
+    }
+    taken.add(key);
+    placed.push({ index, info, ...coords });
+  });
+
+  const centers = new Array(orderedInfos.length);
+  let gridWidth = 0;
+  let gridHeight = 0;
+
+  if (placed.length) {
+    const rows = Math.max(...placed.map((p) => p.row)) + 1;
+    const cols = Math.max(...placed.map((p) => p.col)) + 1;
+    const fallbackW = Math.max(...placed.map((p) => p.info.width));
+    const fallbackH = Math.max(...placed.map((p) => p.info.height));
+
+    const colWidths = new Array(cols).fill(0);
+    const rowHeights = new Array(rows).fill(0);
+    placed.forEach((p) => {
+      colWidths[p.col] = Math.max(colWidths[p.col], p.info.width);
+      rowHeights[p.row] = Math.max(rowHeights[p.row], p.info.height);
+    });
+    for (let c = 0; c < cols; c++) if (!colWidths[c]) colWidths[c] = fallbackW;
+    for (let r = 0; r < rows; r++) if (!rowHeights[r]) rowHeights[r] = fallbackH;
+
+    const colLeft = [0];
+    for (let c = 1; c < cols; c++) {
+      colLeft[c] = colLeft[c - 1] + colWidths[c - 1] + horizontalGap;
+    }
+    const rowTop = [0];
+    for (let r = 1; r < rows; r++) rowTop[r] = rowTop[r - 1] + rowHeights[r - 1] + verticalGap;
+
+    gridWidth = colLeft[cols - 1] + colWidths[cols - 1];
+    gridHeight = rowTop[rows - 1] + rowHeights[rows - 1];
+
+    for (const p of placed) {
+      let x0 = colLeft[p.col] + p.info.width / 2 - gridWidth / 2;
+      let y0 = rowTop[p.row] + p.info.height / 2 - gridHeight / 2;
+      // Зеркалим всю сетку целиком — так сохраняется стыковка краёв.
+      if (colsLeft) x0 = -x0;
+      if (rowsUp) y0 = -y0;
+      centers[p.index] = { x: viewCenterX + x0, y: viewCenterY + y0 };
+    }
+  }
+
+  if (rest.length) {
+    const restInfos = rest.map((i) => orderedInfos[i]);
+    const restCenters = computeVariableSlotCenters(
+      restInfos,
+      options.imagesPerRow,
+      "top-left",
+      0,
+      0,
+      { horizontalGap, verticalGap }
+    );
+    const restBounds = getSlotsBounds(restCenters, restInfos);
+    const gap = placed.length ? FOLDER_GRID_GAP : 0;
+    const offsetX = viewCenterX - (restBounds.left + restBounds.right) / 2;
+    const offsetY = placed.length
+      ? viewCenterY + gridHeight / 2 + gap - restBounds.top
+      : viewCenterY - (restBounds.top + restBounds.bottom) / 2;
+    rest.forEach((i, k) => {
+      centers[i] = { x: restCenters[k].x + offsetX, y: restCenters[k].y + offsetY };
+    });
+    if (placed.length) {
+      console.warn(
+        `Stitch/Slice: ${rest.length} file(s) without row/column in the name (or duplicate cells) placed below the grid.`
+      );
+    }
+  }
+
+  return centers;
+}
+
+/**
+ * Декодирует файл и собирает всё, что нужно для раскладки и загрузки:
+ * размеры, цветовые коды и параметры нарезки. При ошибке показывает
+ * уведомление и возвращает null.
+ */
+async function analyzeImageFile(file) {
+  let blob;
+  try {
+    blob = await openImportFile(file);
+  } catch (e) {
+    console.error("Stitch/Slice: failed to unpack from archive", file.webkitRelativePath, e);
+    await board.notifications.showError(
+      `Cannot import "${file.name}": the archive entry is corrupt.`
+    );
+    return null;
+  }
+
+  // Используем object URL вместо dataURL, чтобы не держать гигантские base64-строки в памяти.
+  const objectUrl = URL.createObjectURL(blob);
+
+  let imgEl;
+  try {
+    // Для objectUrl crossOrigin не нужен, но в loadImage он выставлен — это ок.
+    imgEl = await loadImage(objectUrl);
+  } catch (e) {
+    console.error("Stitch/Slice: browser failed to decode image", file.name, e);
+    await board.notifications.showError(
+      `Cannot import "${file.name}": browser failed to decode the image.`
+    );
+    return null;
+  } finally {
+    URL.revokeObjectURL(objectUrl);
+  }
+
+  const width = imgEl.naturalWidth || imgEl.width;
+  const height = imgEl.naturalHeight || imgEl.height;
+
+  if (!width || !height) {
+    console.error("Stitch/Slice: invalid dimensions", width, height, file.name);
+    await board.notifications.showError(
+      `Cannot import "${file.name}": image has invalid dimensions.`
+    );
+    return null;
+  }
+
+  if (width > MAX_SLICE_DIM || height > MAX_SLICE_DIM) {
+    console.warn(
+      `Stitch/Slice: image too large (${width}x${height}), limit is ${MAX_SLICE_DIM}px per side.`
+    );
+    await board.notifications.showError(
+      `Image "${file.name}" is too large (${width}×${height}). ` +
+        `Stitch/Slice supports up to ${MAX_SLICE_DIM}px per side on this device. ` +
+        `Please downscale or pre-slice it externally.`
+    );
+    return null;
+  }
+
+  let brightness = 0.5;
+  let saturation = 0.0;
+  try {
+    const res = getBrightnessAndSaturationFromImageElement(imgEl);
+    if (res) {
+      brightness = res.brightness;
+      saturation = res.saturation;
+    }
+  } catch (e) {
+    console.warn(
+      "Stitch/Slice: brightness/saturation calc failed for",
+      file.name,
+      e
+    );
+  }
+
+  const { satCode, briCode } = colorCodesFromMeasurement(brightness, saturation);
+
+  let palette = null;
+  let dHash = null;
+  try {
+    palette = getPaletteFromImageElement(imgEl);
+    dHash = getDHashFromImageElement(imgEl);
+  } catch (e) {
+    console.warn("Stitch/Slice: palette/hash extraction failed for", file.name, e);
+  }
+
+  const needsSlice =
+    width > SLICE_THRESHOLD_WIDTH || height > SLICE_THRESHOLD_HEIGHT;
+
+  let tilesX = 1;
+  let tilesY = 1;
+  let numTiles = 1;
+  if (needsSlice) {
+    tilesX = Math.ceil(width / SLICE_TILE_SIZE);
+    tilesY = Math.ceil(height / SLICE_TILE_SIZE);
+    numTiles = tilesX * tilesY;
+  }
+  // Освобождаем ссылку на декодированное изображение (помогает GC на больших партиях)
+  try { imgEl.src = ""; } catch (e) {}
+
+  return {
+    file,
+    width,
+    height,
+    briCode,
+    satCode,
+    palette,
+    dHash,
+    needsSlice,
+    tilesX,
+    tilesY,
+    numTiles,
+  };
+}
+
+// Масштаб отображения файла: displaySize "width" / "height" — фиксированная
+// сторона в px доски, "scale" — проценты, "native" — как есть. Нарезаемая
+// мозаика масштабируется целиком (info.width — ширина исходника).
+function getDisplayScale(info, options) {
+  const { displaySize = "native", displayValue = 0 } = options;
+  if (!(displayValue > 0)) return 1;
+  if (displaySize === "width") return displayValue / info.width;
+  if (displaySize === "height") return displayValue / info.height;
+  if (displaySize === "scale") return displayValue / 100;
+  return 1;
+}
+
+/**
+ * Центры слотов для orderedInfos (массив в том же порядке).
+ * Раскладка считается по размерам отображения; если они отличаются от
+ * исходных, у центра есть width (её получает createImageWithRetry).
+ */
+function planStitchSlots(orderedInfos, options, viewCenterX, viewCenterY) {
+  const displayInfos = orderedInfos.map((info) => {
+    const scale = getDisplayScale(info, options);
+    return scale === 1
+      ? info
+      : { ...info, width: info.width * scale, height: info.height * scale };
+  });
+
+  const centers = planStitchGridSlots(displayInfos, options, viewCenterX, viewCenterY);
+  return centers.map((center, i) => {
+    if (!center) return center;
+    const width = center.width || displayInfos[i].width;
+    return width !== orderedInfos[i].width ? { ...center, width } : center;
+  });
+}
+
+// Больше пустых клеток, чем это, — почти наверняка случайный номер в имени (2024, 250000).
+const SKIP_MISSING_MAX_SLOTS = 100000;
+
+// Слотов для skip-missing: от меньшего номера до большего плюс хвост без номеров.
+function skipMissingSlotSpan(orderedInfos) {
+  let minNum = Infinity;
+  let maxNum = -Infinity;
+  let unnumbered = 0;
+  for (const info of orderedInfos) {
+    const num = extractTrailingNumber(info.file.name || "");
+    if (num === null) {
+      unnumbered += 1;
+    } else {
+      minNum = Math.min(minNum, num);
+      maxNum = Math.max(maxNum, num);
+    }
+  }
+  return minNum === Infinity ? 0 : maxNum - minNum + 1 + unnumbered;
+}
+
+/**
+ * Текст предупреждения, если "Skip missing tiles" не применится из-за слишком
+ * широкого диапазона номеров (planStitchGridSlots раскладывает без пропусков), иначе null.
+ */
+function describeSkipMissingOverflow(orderedInfos, options) {
+  if (!options.skipMissingTiles || options.placement === "coords") return null;
+  if (isFreeformLayout(options.cellMode)) return null;
+  const span = skipMissingSlotSpan(orderedInfos);
+  if (span <= SKIP_MISSING_MAX_SLOTS) return null;
+  return `File numbers span ${span} slots (limit ${SKIP_MISSING_MAX_SLOTS}), so “Skip missing tiles” is ignored and images are placed without gaps.`;
+}
+
+// "Skip missing tiles" работает при наличии номеров и только для сеточных раскладок.
+function planStitchGridSlots(orderedInfos, options, viewCenterX, viewCenterY) {
+  const { imagesPerRow, startCorner, skipMissingTiles } = options;
+
+  if (options.placement === "coords") {
+    return computeCoordSlotCenters(orderedInfos, options, viewCenterX, viewCenterY);
+  }
+
+  // Раскладки без клеток не держат пустые слоты — skip-missing к ним не применим.
+  const gallery = isFreeformLayout(options.cellMode);
+  const hasAnyNumber = orderedInfos.some((info) => {
+    const name = info.file.name || "";
+    return extractTrailingNumber(name) !== null;
+  });
+
+  if (gallery || !skipMissingTiles || !hasAnyNumber) {
+    return computeVariableSlotCenters(
+      orderedInfos,
+      imagesPerRow,
+      startCorner,
+      viewCenterX,
+      viewCenterY,
+      options
+    );
+  }
+
+  const tileInfos = [];
+  const numbered = new Set();
+  let maxNum = -Infinity;
+
+  for (const info of orderedInfos) {
+    const name = info.file.name || "";
+    const num = extractTrailingNumber(name);
+    if (num === null) continue;
+    tileInfos.push({ info, num });
+    numbered.add(info.file);
+    if (num > maxNum) maxNum = num;
+  }
+
+  // Файлы без номера — в хвост, после максимального номера.
+  let current = maxNum;
+  for (const info of orderedInfos) {
+    if (!numbered.has(info.file)) {
+      current += 1;
+      tileInfos.push({ info, num: current });
+    }
+  }
+
+  // Об этом пользователю сообщает describeSkipMissingOverflow при импорте.
+  if (skipMissingSlotSpan(orderedInfos) > SKIP_MISSING_MAX_SLOTS) {
+    return computeVariableSlotCenters(
+      orderedInfos,
+      imagesPerRow,
+      startCorner,
+      viewCenterX,
+      viewCenterY,
+      options
+    );
+  }
+
+  const centersByFile = computeSkipMissingSlotCenters(
+    tileInfos,
+    imagesPerRow,
+    startCorner,
+    viewCenterX,
+    viewCenterY,
+    options
+  );
+  return orderedInfos.map((info) => centersByFile.get(info.file));
+}
+
+function readStitchConfig(form) {
+  return {
+    imagesPerRow: Number(form.stitchImagesPerRow.value) || 1,
+    horizontalGap: form.stitchHorizontalGap ? Number(form.stitchHorizontalGap.value) || 0 : 0,
+    verticalGap: form.stitchVerticalGap ? Number(form.stitchVerticalGap.value) || 0 : 0,
+    displaySize: form.stitchDisplaySize ? form.stitchDisplaySize.value : "native",
+    displayValue: form.stitchDisplayValue ? Number(form.stitchDisplayValue.value) || 0 : 0,
+    startCorner: form.stitchStartCorner.value,
+    skipMissingTiles: form.stitchSkipMissing.checked,
+    duplicatePolicy: form.stitchDuplicatePolicy
+      ? form.stitchDuplicatePolicy.value
+      : "copy",
+    target: form.stitchTarget ? form.stitchTarget.value : "loose",
+    folderMode: form.stitchFolderMode ? form.stitchFolderMode.value : "stack",
+    cleanTitles: form.stitchCleanTitles ? form.stitchCleanTitles.checked : false,
+    placement: form.stitchPlacement ? form.stitchPlacement.value : "grid",
+    fillOrder: form.stitchFillOrder ? form.stitchFillOrder.value : "rows",
+    ...readGridShapeConfig(form, "stitch"),
+    ...readCellConfig(form, "stitch"),
+    coordTemplate: form.stitchCoordTemplate ? form.stitchCoordTemplate.value : "",
+    coordBase: form.stitchCoordBase ? Number(form.stitchCoordBase.value) || 0 : 0,
+    rowsUp: form.stitchCoordRowsUp ? form.stitchCoordRowsUp.checked : false,
+    colsLeft: form.stitchCoordColsLeft ? form.stitchCoordColsLeft.checked : false,
+    nameOrder: {
+      mode: form.stitchNameOrder ? form.stitchNameOrder.value : "number",
+      ignoreCase: form.stitchNaturalIgnoreCase
+        ? form.stitchNaturalIgnoreCase.checked
+        : true,
+      ignoreExtension: form.stitchNaturalIgnoreExt
+        ? form.stitchNaturalIgnoreExt.checked
+        : false,
+      fallback: form.stitchFallbackOrder ? form.stitchFallbackOrder.value : "alpha",
+      seed: readShuffleSeed(form),
+    },
+  };
+}
+
+// Сид перемешивания: если поле пустое — генерируем и показываем в нём,
+// чтобы раскладку можно было повторить (и передать коллеге).
+function readShuffleSeed(form) {
+  const input = form.stitchShuffleSeed;
+  if (!input || !form.stitchFallbackOrder || form.stitchFallbackOrder.value !== "shuffle") {
+    return null;
+  }
+  let seed = Number.parseInt(input.value, 10);
+  if (!Number.isFinite(seed) || seed <= 0) {
+    seed = generateShuffleSeed();
+    input.value = String(seed);
+  }
+  return seed;
+}
+
+// Результат Stage 1 (анализ + порядок файлов), посчитанный для превью.
+// Переиспользуется при импорте тех же файлов, чтобы не декодировать их дважды.
+let stitchPrepCache = null;
+
+// Группы считаются один раз на каждую комбинацию настроек порядка.
+function getCachedFileGroups(cache, filesArray, fileInfos, folderMode, nameOrder) {
+  if (!cache) return groupFilesByFolder(filesArray, folderMode, nameOrder, fileInfos);
+  const key = JSON.stringify([folderMode, nameOrder || null]);
+  if (!cache.fileGroupsByMode[key]) {
+    cache.fileGroupsByMode[key] = groupFilesByFolder(
+      cache.files,
+      folderMode,
+      nameOrder,
+      cache.fileInfos
+    );
+  }
+  return cache.fileGroupsByMode[key];
+}
+
+function getStitchPrepCache(filesArray) {
+  if (!stitchPrepCache) return null;
+  const cached = stitchPrepCache.files;
+  if (cached.length !== filesArray.length) return null;
+  for (let i = 0; i < cached.length; i++) {
+    if (cached[i] !== filesArray[i]) return null;
+  }
+  return stitchPrepCache;
+}
+
+async function getViewportCenter() {
+  try {
+    const viewport = await board.viewport.get();
+    return {
+      x: viewport.x + viewport.width / 2,
+      y: viewport.y + viewport.height / 2,
+    };
+  } catch (e) {
+    console.warn("Stitch/Slice: could not get viewport, fallback to 0,0", e);
+    return { x: 0, y: 0 };
+  }
+}
+
+// ---------- STITCH/SLICE: folders ----------
+// При выборе папки (webkitdirectory) у файлов есть webkitRelativePath.
+// Каждая подпапка — отдельная сетка со своей сортировкой и skip-missing;
+// сетки складываются стопкой или плиткой, над каждой — заголовок с именем папки.
+
+const FOLDER_GRID_GAP = 400;
+const IMAGE_FILE_RE = /\.(png|jpe?g|gif|webp|bmp|avif|svg)$/i;
+
+// Файлы, выбранные последним из двух инпутов (файлы или папка).
+let stitchSelectedFiles = [];
+
+function getStitchFiles() {
+  return stitchSelectedFiles;
+}
+
+function isImageFile(file) {
+  return (file.type || "").startsWith("image/") || IMAGE_FILE_RE.test(file.name || "");
+}
+
+function getFileFolder(file) {
+  const parts = (file.webkitRelativePath || "").split("/");
+  return parts.slice(0, -1).join("/");
+}
+
+function sortFilesNaturally(files, nameOrder) {
+  return Array.from(files)
+    .map((file, index) => ({ file, index }))
+    .sort(
+      (a, b) =>
+        compareNaturalNames(a.file.name || "", b.file.name || "", nameOrder) ||
+        a.index - b.index
+    )
+    .map((m) => m.file);
+}
+
+// nameOrder.mode: "number" (по последнему числу) или "natural" (все куски имени).
+function sortFilesByName(files, nameOrder, infoByFile) {
+  if (nameOrder && nameOrder.mode === "natural") {
+    return sortFilesNaturally(files, nameOrder);
+  }
+  return sortFilesByNameWithNumber(files, nameOrder, infoByFile);
+}
+
+/**
+ * Группы файлов по папкам: [{ label, files }] (files уже отсортированы).
+ * folderMode "flat" — одна общая сетка, как раньше.
+ */
+function groupFilesByFolder(files, folderMode, nameOrder, fileInfos = []) {
+  const infoByFile = new Map(fileInfos.map((info) => [info.file, info]));
+  if (folderMode === "flat") {
+    return [{ label: "", files: sortFilesByName(files, nameOrder, infoByFile) }];
+  }
+
+  const byFolder = new Map();
+  for (const file of files) {
+    const folder = getFileFolder(file);
+    if (!byFolder.has(folder)) byFolder.set(folder, []);
+    byFolder.get(folder).push(file);
+  }
+
+  const folders = Array.from(byFolder.keys()).sort((a, b) => naturalCompare(a, b));
+
+  // Общий корень (выбранная папка) из заголовков убираем.
+  const root = folders.length ? folders[0].split("/")[0] : "";
+  const allUnderRoot = folders.every((f) => f === root || f.startsWith(`${root}/`));
+
+  return folders.map((folder) => ({
+    label:
+      allUnderRoot && folder !== root && root
+        ? folder.slice(root.length + 1)
+        : folder,
+    files: sortFilesByName(byFolder.get(folder), nameOrder, infoByFile),
+  }));
+}
+
+// [{ label, files }] → [{ label, infos }] без файлов, которые не удалось подготовить.
+function buildInfoGroups(fileGroups, fileInfos) {
+  const infoByFile = new Map(fileInfos.map((info) => [info.file, info]));
+  return fileGroups
+    .map((g) => ({
+      label: g.label,
+      infos: g.files.map((f) => infoByFile.get(f)).filter(Boolean),
+    }))
+    .filter((g) => g.infos.length);
+}
+
+function filterInfoGroups(infoGroups, keepInfos) {
+  const keep = new Set(keepInfos);
+  return infoGroups
+    .map((g) => ({ label: g.label, infos: g.infos.filter((info) => keep.has(info)) }))
+    .filter((g) => g.infos.length);
+}
+
+function headingFontSize(gridWidth) {
+  return Math.max(24, Math.min(288, Math.round(gridWidth / 25)));
+}
+
+/**
+ * Раскладывает сетки групп относительно (0, 0) — общий габарит центрирован.
+ * Возвращает { centers, headings } (centers — подряд по всем группам).
+ */
+function planFolderGrids(infoGroups, options) {
+  const withHeadings = infoGroups.length > 1;
+
+  const blocks = infoGroups.map((group) => {
+    const centers = planStitchSlots(group.infos, options, 0, 0);
+    const bounds = getSlotsBounds(centers, group.infos);
+    const gridWidth = bounds.right - bounds.left;
+    const gridHeight = bounds.bottom - bounds.top;
+    const fontSize = headingFontSize(gridWidth);
+    const headingHeight = withHeadings ? Math.round(fontSize * 1.6) : 0;
+    const headingGap = withHeadings ? Math.round(fontSize / 2) : 0;
+    const headingWidth = withHeadings ? Math.max(gridWidth, fontSize * 8) : 0;
+    return {
+      group,
+      centers,
+      bounds,
+      fontSize,
+      headingHeight,
+      headingGap,
+      headingWidth,
+      width: Math.max(gridWidth, headingWidth),
+      height: headingHeight + headingGap + gridHeight,
+    };
+  });
+
+  // Положение каждого блока (левый верхний угол).
+  const positions = [];
+  if (options.folderMode === "tile") {
+    const perRow = Math.ceil(Math.sqrt(blocks.length));
+    let top = 0;
+    for (let i = 0; i < blocks.length; i += perRow) {
+      const rowBlocks = blocks.slice(i, i + perRow);
+      let left = 0;
+      for (const block of rowBlocks) {
+        positions.push({ left, top });
+        left += block.width + FOLDER_GRID_GAP;
+      }
+      top += Math.max(...rowBlocks.map((b) => b.height)) + FOLDER_GRID_GAP;
+    }
+  } else {
+    let top = 0;
+    for (const block of blocks) {
+      positions.push({ left: 0, top });
+      top += block.height + FOLDER_GRID_GAP;
+    }
+  }
+
+  const centers = [];
+  const headings = [];
+  blocks.forEach((block, i) => {
+    const { left, top } = positions[i];
+    const gridTop = top + block.headingHeight + block.headingGap;
+    const dx = left - block.bounds.left;
+    const dy = gridTop - block.bounds.top;
+    block.centers.forEach((c) => centers.push({ ...c, x: c.x + dx, y: c.y + dy }));
+
+    if (withHeadings) {
+      const width = block.headingWidth;
+      headings.push({
+        text: block.group.label || "(root)",
+        fontSize: block.fontSize,
+        x: left + width / 2,
+        y: top + block.headingHeight / 2,
+        width,
+        height: block.headingHeight,
+      });
+    }
+  });
+
+  // Центрируем общий габарит в (0, 0).
+  const allInfos = infoGroups.flatMap((g) => g.infos);
+  const bounds = getSlotsBounds(centers, allInfos);
+  headings.forEach((h) => {
+    bounds.left = Math.min(bounds.left, h.x - h.width / 2);
+    bounds.top = Math.min(bounds.top, h.y - h.height / 2);
+    bounds.right = Math.max(bounds.right, h.x + h.width / 2);
+  });
+  const cx = (bounds.left + bounds.right) / 2;
+  const cy = (bounds.top + bounds.bottom) / 2;
+
+  return {
+    centers: centers.map((c) => ({ ...c, x: c.x - cx, y: c.y - cy })),
+    headings: headings.map((h) => ({ ...h, x: h.x - cx, y: h.y - cy })),
+  };
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+async function createFolderHeading(heading) {
+  return board.createText({
+    content: `<p><strong>${escapeHtml(heading.text)}</strong></p>`,
+    x: heading.x,
+    y: heading.y,
+    width: heading.width,
+    style: {
+      fontSize: heading.fontSize,
+      textAlign: "left",
+      color: "#111827",
+    },
+  });
+}
+
+// ---------- STITCH/SLICE: ZIP archives ----------
+// Архив читаем кусками через Blob.slice, не загружая его в память целиком:
+// сначала центральный каталог, затем каждая запись отдельно. Stored-записи —
+// это просто срез исходного файла, deflate распаковывается потоком
+// (DecompressionStream). При выборе файлов читаем только каталог: запись
+// становится ленивым описанием файла и распаковывается openImportFile'ом
+// на подготовке и загрузке, по одной, — архив не держится в памяти дважды.
+// Внутренние пути идут в webkitRelativePath, поэтому сортировка по номерам
+// и группировка по папкам работают как для папок.
+
+const ZIP_EOCD_SIG = 0x06054b50;
+const ZIP64_EOCD_SIG = 0x06064b50;
+const ZIP64_LOCATOR_SIG = 0x07064b50;
+const ZIP_CENTRAL_SIG = 0x02014b50;
+const ZIP_LOCAL_SIG = 0x04034b50;
+const ZIP_EOCD_MAX_SEARCH = 22 + 65535;
+
+const IMAGE_MIME_BY_EXT = {
+  png: "image/png",
+  jpg: "image/jpeg",
+  jpeg: "image/jpeg",
+  gif: "image/gif",
+  webp: "image/webp",
+  bmp: "image/bmp",
+  avif: "image/avif",
+  svg: "image/svg+xml",
+};
+
+function isZipFile(file) {
+  return /\.zip$/i.test(file.name || "") || file.type === "application/zip" ||
+    file.type === "application/x-zip-compressed";
+}
+
+async function readBlobRange(blob, start, end) {
+  return new DataView(await blob.slice(start, end).arrayBuffer());
+}
+
+function readUint64(view, offset) {
+  // Точности double хватает для архивов до 2^53 байт.
+  return view.getUint32(offset, true) + view.getUint32(offset + 4, true) * 2 ** 32;
+}
+
+function dosDateTimeToMs(date, time) {
+  const year = ((date >> 9) & 0x7f) + 1980;
+  const month = ((date >> 5) & 0x0f) - 1;
+  const day = date & 0x1f;
+  const hours = (time >> 11) & 0x1f;
+  const minutes = (time >> 5) & 0x3f;
+  const seconds = (time & 0x1f) * 2;
+  return new Date(year, month, day, hours, minutes, seconds).getTime();
+}
+
+async function findZipCentralDirectory(zip) {
+  const tailStart = Math.max(0, zip.size - ZIP_EOCD_MAX_SEARCH);
+  const tail = await readBlobRange(zip, tailStart, zip.size);
+
+  let eocd = -1;
+  for (let i = tail.byteLength - 22; i >= 0; i--) {
+    if (tail.getUint32(i, true) === ZIP_EOCD_SIG) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd < 0) throw new Error("not a ZIP archive (end of central directory not found)");
+
+  let count = tail.getUint16(eocd + 10, true);
+  let size = tail.getUint32(eocd + 12, true);
+  let offset = tail.getUint32(eocd + 16, true);
+
+  // ZIP64: настоящие значения лежат в отдельной записи, на неё указывает locator.
+  const locator = eocd - 20;
+  if (
+    (count === 0xffff || size === 0xffffffff || offset === 0xffffffff) &&
+    locator >= 0 &&
+    tail.getUint32(locator, true) === ZIP64_LOCATOR_SIG
+  ) {
+    const zip64Offset = readUint64(tail, locator + 8);
+    const zip64 = await readBlobRange(zip, zip64Offset, zip64Offset + 56);
+    if (zip64.getUint32(0, true) !== ZIP64_EOCD_SIG) {
+      throw new Error("broken ZIP64 end of central directory");
+    }
+    count = readUint64(zip64, 32);
+    size = readUint64(zip64, 40);
+    offset = readUint64(zip64, 48);
+  }
+
+  return { count, size, offset };
+}
+
+/**
+ * Записи центрального каталога:
+ * [{ path, method, flags, compressedSize, size, localOffset, lastModified }]
+ */
+async function readZipEntries(zip) {
+  const dir = await findZipCentralDirectory(zip);
+  const view = await readBlobRange(zip, dir.offset, dir.offset + dir.size);
+  const utf8 = new TextDecoder("utf-8");
+
+  const entries = [];
+  let p = 0;
+  for (let n = 0; n < dir.count && p + 46 <= view.byteLength; n++) {
+    if (view.getUint32(p, true) !== ZIP_CENTRAL_SIG) break;
+
+    const flags = view.getUint16(p + 8, true);
+    const method = view.getUint16(p + 10, true);
+    const time = view.getUint16(p + 12, true);
+    const date = view.getUint16(p + 14, true);
+    let compressedSize = view.getUint32(p + 20, true);
+    let size = view.getUint32(p + 24, true);
+    const nameLen = view.getUint16(p + 28, true);
+    const extraLen = view.getUint16(p + 30, true);
+    const commentLen = view.getUint16(p + 32, true);
+    let localOffset = view.getUint32(p + 42, true);
+
+    const nameBytes = new Uint8Array(view.buffer, view.byteOffset + p + 46, nameLen);
+    const path = utf8.decode(nameBytes);
+
+    // ZIP64 extra (0x0001): только те поля, что в заголовке равны 0xFFFFFFFF.
+    let e = p + 46 + nameLen;
+    const extraEnd = e + extraLen;
+    while (e + 4 <= extraEnd) {
+      const id = view.getUint16(e, true);
+      const len = view.getUint16(e + 2, true);
+      if (id === 0x0001) {
+        let q = e + 4;
+        if (size === 0xffffffff) { size = readUint64(view, q); q += 8; }
+        if (compressedSize === 0xffffffff) { compressedSize = readUint64(view, q); q += 8; }
+        if (localOffset === 0xffffffff) { localOffset = readUint64(view, q); }
+      }
+      e += 4 + len;
+    }
+
+    entries.push({
+      path,
+      method,
+      flags,
+      compressedSize,
+      size,
+      localOffset,
+      lastModified: dosDateTimeToMs(date, time),
+    });
+    p = extraEnd + commentLen;
+  }
+
+  return entries;
+}
+
+async function openZipEntry(zip, entry, type) {
+  const local = await readBlobRange(zip, entry.localOffset, entry.localOffset + 30);
+  if (local.getUint32(0, true) !== ZIP_LOCAL_SIG) {
+    throw new Error("broken local header");
+  }
+  const nameLen = local.getUint16(26, true);
+  const extraLen = local.getUint16(28, true);
+  const start = entry.localOffset + 30 + nameLen + extraLen;
+  const raw = zip.slice(start, start + entry.compressedSize, type);
+
+  if (entry.method === 0) return raw;
+
+  const stream = raw.stream().pipeThrough(new DecompressionStream("deflate-raw"));
+  const blob = await new Response(stream).blob();
+  return blob.type === type ? blob : blob.slice(0, blob.size, type);
+}
+
+/**
+ * Описания изображений архива — File-подобные объекты (name, type, size,
+ * lastModified, webkitRelativePath "<архив>/<путь внутри>") без содержимого.
+ * Остальное возвращается в skipped: { path, reason, detail }.
+ */
+async function listZipImages(zip) {
+  const entries = await readZipEntries(zip);
+  const root = (zip.name || "archive.zip").replace(/\.zip$/i, "");
+  const canInflate = typeof DecompressionStream === "function";
+
+  const files = [];
+  const skipped = [];
+
+  for (const entry of entries) {
+    if (entry.path.endsWith("/")) continue;
+
+    const name = entry.path.split("/").pop();
+    const ext = (name.match(/\.([^.]+)$/) || [])[1];
+    const type = ext ? IMAGE_MIME_BY_EXT[ext.toLowerCase()] : undefined;
+
+    // Служебные файлы macOS в архивах не показываем вовсе.
+    if (entry.path.startsWith("__MACOSX/") || name.startsWith("._")) continue;
+
+    if (!type) {
+      skipped.push({ path: entry.path, reason: "not an image" });
+      continue;
+    }
+    if (entry.flags & 0x1) {
+      skipped.push({ path: entry.path, reason: "encrypted" });
+      continue;
+    }
+    if (entry.method !== 0 && entry.method !== 8) {
+      skipped.push({
+        path: entry.path,
+        reason: "unsupported compression",
+        detail: `method ${entry.method}`,
+      });
+      continue;
+    }
+    if (entry.method === 8 && !canInflate) {
+      skipped.push({ path: entry.path, reason: "browser cannot unpack deflate" });
+      continue;
+    }
+
+    files.push({
+      name,
+      type,
+      size: entry.size,
+      lastModified: entry.lastModified,
+      webkitRelativePath: `${root}/${entry.path}`,
+      zipSource: { zip, entry },
+    });
+  }
+
+  return { files, skipped };
+}
+
+// Содержимое файла для чтения: сам File или распакованная запись архива.
+// Результат не кешируем — после использования распакованный Blob освобождается.
+async function openImportFile(file) {
+  if (!file.zipSource) return file;
+  return openZipEntry(file.zipSource.zip, file.zipSource.entry, file.type);
+}
+
+/**
+ * Раскрывает .zip из выбранных файлов (только каталоги, без распаковки).
+ * Возвращает { files, skipped, archives }.
+ */
+async function expandSelectedFiles(selected, onProgress) {
+  const files = [];
+  const skipped = [];
+  let archives = 0;
+
+  for (const file of selected) {
+    if (isZipFile(file)) {
+      archives += 1;
+      if (onProgress) onProgress(file.name);
+      try {
+        const res = await listZipImages(file);
+        files.push(...res.files);
+        res.skipped.forEach((s) => skipped.push({ ...s, archive: file.name }));
+      } catch (e) {
+        console.error("ZIP: cannot read archive", file.name, e);
+        skipped.push({ path: file.name, reason: "unreadable archive", detail: e.message });
+      }
+    } else if (isImageFile(file)) {
+      files.push(file);
+    }
+  }
+
+  return { files, skipped, archives };
+}
+
+// ---------- STITCH/SLICE: target frame ----------
+// Куда кладём сетку: "loose" — свободно по центру вьюпорта, "new-frame" — в новый
+// фрейм по размеру сетки, "frame" — в выбранный фрейм (от его левого верхнего угла;
+// фрейм растёт, если сетка больше него).
+
+const FRAME_PADDING = 100;
+
+// У детей фрейма x/y считаются от левого верхнего угла родителя.
+async function getBoardPosition(item, parentCache = new Map()) {
+  if (!item.parentId) return { x: item.x, y: item.y };
+
+  if (!parentCache.has(item.parentId)) {
+    let parent = null;
+    try {
+      parent = await board.getById(item.parentId);
+    } catch (e) {
+      console.warn("getById failed for parent", item.parentId, e);
+    }
+    parentCache.set(item.parentId, parent);
+  }
+
+  const parent = parentCache.get(item.parentId);
+  if (!parent) return { x: item.x, y: item.y };
+  return {
+    x: parent.x - parent.width / 2 + item.x,
+    y: parent.y - parent.height / 2 + item.y,
+  };
+}
+
+async function getSelectedFrame() {
+  const selection = await board.getSelection();
+  const frames = selection.filter((i) => i.type === "frame");
+  return frames.length === 1 ? frames[0] : null;
+}
+
+function getSlotsBounds(centers, infos) {
+  const bounds = { left: Infinity, top: Infinity, right: -Infinity, bottom: -Infinity };
+  infos.forEach((info, i) => {
+    const c = centers[i];
+    const w = c.width || info.width;
+    const h = c.width ? info.height * (c.width / info.width) : info.height;
+    bounds.left = Math.min(bounds.left, c.x - w / 2);
+    bounds.top = Math.min(bounds.top, c.y - h / 2);
+    bounds.right = Math.max(bounds.right, c.x + w / 2);
+    bounds.bottom = Math.max(bounds.bottom, c.y + h / 2);
+  });
+  return bounds;
+}
+
+/**
+ * Раскладка с учётом цели импорта. Возвращает { centers, headings, frameRect }:
+ * centers — подряд по всем группам, frameRect (left/top/right/bottom) — каким
+ * должен стать фрейм (или null для "loose").
+ */
+function planStitchTarget(infoGroups, options, anchor, frame) {
+  const { target } = options;
+  const infos = infoGroups.flatMap((g) => g.infos);
+  const layout = planFolderGrids(infoGroups, options);
+
+  const shift = (dx, dy) => {
+    layout.centers = layout.centers.map((c) => ({ ...c, x: c.x + dx, y: c.y + dy }));
+    layout.headings = layout.headings.map((h) => ({ ...h, x: h.x + dx, y: h.y + dy }));
+  };
+  const getBounds = () => {
+    const bounds = getSlotsBounds(layout.centers, infos);
+    layout.headings.forEach((h) => {
+      bounds.left = Math.min(bounds.left, h.x - h.width / 2);
+      bounds.top = Math.min(bounds.top, h.y - h.height / 2);
+      bounds.right = Math.max(bounds.right, h.x + h.width / 2);
+      bounds.bottom = Math.max(bounds.bottom, h.y + h.height / 2);
+    });
+    return bounds;
+  };
+
+  shift(anchor.x, anchor.y);
+  if (!infos.length || target === "loose" || !target) {
+    return { centers: layout.centers, headings: layout.headings, frameRect: null };
+  }
+
+  let bounds = getBounds();
+
+  if (target === "frame" && frame) {
+    const frameLeft = frame.x - frame.width / 2;
+    const frameTop = frame.y - frame.height / 2;
+    shift(frameLeft + FRAME_PADDING - bounds.left, frameTop + FRAME_PADDING - bounds.top);
+    bounds = getBounds();
+
+    // Фрейм только растёт вправо/вниз, левый верхний угол остаётся на месте.
+    return {
+      centers: layout.centers,
+      headings: layout.headings,
+      frameRect: {
+        left: frameLeft,
+        top: frameTop,
+        right: Math.max(frameLeft + frame.width, bounds.right + FRAME_PADDING),
+        bottom: Math.max(frameTop + frame.height, bounds.bottom + FRAME_PADDING),
+      },
+    };
+  }
+
+  return {
+    centers: layout.centers,
+    headings: layout.headings,
+    frameRect: {
+      left: bounds.left - FRAME_PADDING,
+      top: bounds.top - FRAME_PADDING,
+      right: bounds.right + FRAME_PADDING,
+      bottom: bounds.bottom + FRAME_PADDING,
+    },
+  };
+}
+
+// Название нового фрейма: папка, общий префикс имён или дата импорта.
+function getBatchTitle(files) {
+  const paths = files.map((f) => f.webkitRelativePath || "").filter(Boolean);
+  if (paths.length) {
+    const folder = paths[0].split("/")[0];
+    if (folder && paths.every((p) => p.startsWith(`${folder}/`))) return folder;
+  }
+
+  const names = files.map((f) => f.name || "");
+  let prefix = names[0] || "";
+  for (const name of names) {
+    while (prefix && !name.startsWith(prefix)) prefix = prefix.slice(0, -1);
+  }
+  prefix = prefix.replace(/[\s_\-.\d]+$/, "");
+  if (prefix.length >= 3) return prefix;
+
+  return `Import ${new Date().toLocaleString()}`;
+}
+
+async function prepareTargetFrame(target, frame, frameRect, title) {
+  if (!frameRect) return null;
+
+  const width = frameRect.right - frameRect.left;
+  const height = frameRect.bottom - frameRect.top;
+  const x = frameRect.left + width / 2;
+  const y = frameRect.top + height / 2;
+
+  if (target === "new-frame") {
+    return board.createFrame({
+      title,
+      x,
+      y,
+      width,
+      height,
+      style: { fillColor: "#ffffff" },
+    });
+  }
+
+  if (frame && (width > frame.width || height > frame.height)) {
+    frame.width = width;
+    frame.height = height;
+    frame.x = x;
+    frame.y = y;
+    await frame.sync();
   }
+  return frame;
 }
 
-// ---------- STITCH/S SLICE helpers ----------
+// ---------- STITCH/SLICE: cancel ----------
+// Cancel останавливает планирование новых файлов; уже начатые createImage
+// дозавершаются (или прерываются на паузе между ретраями). Затем пользователь
+// выбирает: оставить созданное или удалить всё, что создал этот запуск.
 
-function readFileAsDataUrl(file) {
-  return new Promise((resolve, reject) => {
-    const reader = new FileReader();
-    reader.onload = () => resolve(reader.result);
-    reader.onerror = reject;
-    reader.readAsDataURL(file);
-  });
-}
+const REMOVE_CONCURRENCY = 4;
 
-function sortFilesByNameWithNumber(files) {
-  const arr = Array.from(files).map((file, index) => {
-    const name = file.name || "";
-    const lower = name.toLowerCase();
-    const num = extractTrailingNumber(name);
-    return {
-      file,
-      index,
-      name,
-      lower,
-      hasNumber: num !== null,
-      num,
-    };
-  });
+let stitchAbortController = null;
 
-  console.groupCollapsed("Stitch/Slice – files & numbers");
-  arr.forEach((m) => console.log(m.name, "=>", m.num));
-  console.groupEnd();
+function createAbortError() {
+  const err = new Error("Import cancelled");
+  err.name = "AbortError";
+  return err;
+}
 
-  const anyHasNumber = arr.some((m) => m.hasNumber);
+function isAbortError(err) {
+  return Boolean(err && err.name === "AbortError");
+}
 
-  if (!anyHasNumber) {
-    // если ни у кого нет номера — просто рандомно перемешиваем
-    for (let i = arr.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [arr[i], arr[j]] = [arr[j], arr[i]];
-    }
-  } else {
-    arr.sort((a, b) => {
-      if (a.hasNumber && !b.hasNumber) return -1;
-      if (!a.hasNumber && b.hasNumber) return 1;
+function setStitchCancelVisible(visible) {
+  const cancelButton = document.getElementById("stitchCancelButton");
+  if (!cancelButton) return;
+  cancelButton.hidden = !visible;
+  cancelButton.disabled = false;
+  cancelButton.textContent = "Cancel import";
+}
 
-      if (a.hasNumber && b.hasNumber) {
-        if (a.num !== b.num) return a.num - b.num;
-        if (a.lower < b.lower) return -1;
-        if (a.lower > b.lower) return 1;
-        return a.index - b.index;
-      }
+function handleStitchCancelClick() {
+  if (!stitchAbortController || stitchAbortController.signal.aborted) return;
+  stitchAbortController.abort();
 
-      if (a.lower < b.lower) return -1;
-      if (a.lower > b.lower) return 1;
-      return a.index - b.index;
-    });
+  const cancelButton = document.getElementById("stitchCancelButton");
+  if (cancelButton) {
+    cancelButton.disabled = true;
+    cancelButton.textContent = "Cancelling…";
   }
+}
 
-  return arr.map((m) => m.file);
+// Показывает выбор Keep / Delete под прогресс-баром и ждёт клика.
+function askKeepOrDeleteCreated(count) {
+  const box = document.getElementById("stitchCancelChoice");
+  const text = document.getElementById("stitchCancelChoiceText");
+  const keepButton = document.getElementById("stitchKeepButton");
+  const deleteButton = document.getElementById("stitchDeleteButton");
+  if (!box || !keepButton || !deleteButton) return Promise.resolve("keep");
+
+  if (text) {
+    text.textContent = `Import cancelled. ${count} tile${
+      count === 1 ? " was" : "s were"
+    } already created.`;
+  }
+  box.hidden = false;
+
+  return new Promise((resolve) => {
+    const choose = (choice) => {
+      keepButton.removeEventListener("click", onKeep);
+      deleteButton.removeEventListener("click", onDelete);
+      box.hidden = true;
+      resolve(choice);
+    };
+    const onKeep = () => choose("keep");
+    const onDelete = () => choose("delete");
+    keepButton.addEventListener("click", onKeep);
+    deleteButton.addEventListener("click", onDelete);
+  });
 }
 
-function canvasToDataUrlUnderLimit(canvas, maxBytes = TARGET_URL_BYTES) {
-  // Цель: держать качество около 0.8–0.85 (примерно Photoshop 10–11),
-  // но при этом НИКОГДА не пробивать жесткий лимит Miro по размеру dataURL.
-  //
-  // Алгоритм:
-  // 1) Пробуем уложиться в target (maxBytes) качеством 0.85 → 0.82 → 0.80.
-  // 2) Если target не достигается при 0.80 — оставляем 0.80 (размер будет больше target, но качество лучше).
-  // 3) Если даже так превышаем жесткий лимит MAX_URL_BYTES — тогда уже снижаем качество ниже 0.80,
-  //    пока не уложимся в MAX_URL_BYTES (чтобы не было падений/пропусков).
+async function removeWidgets(widgets, onProgress) {
+  let cursor = 0;
+  let removed = 0;
 
-  const hardLimit = MAX_URL_BYTES;
-  const target = Math.min(maxBytes, hardLimit);
+  const runners = new Array(REMOVE_CONCURRENCY).fill(0).map(async () => {
+    while (cursor < widgets.length) {
+      const widget = widgets[cursor];
+      cursor += 1;
+      try {
+        await board.remove(widget);
+      } catch (e) {
+        console.warn("remove failed:", widget.id, e);
+      }
+      removed += 1;
+      if (onProgress) onProgress(removed, widgets.length);
+    }
+  });
+  await Promise.all(runners);
+}
 
-  const tryQualities = [0.85, 0.82, 0.8];
-  for (const q of tryQualities) {
-    const dataUrl = canvas.toDataURL("image/jpeg", q);
-    if (dataUrl.length <= target) return dataUrl;
-  }
+// ---------- STITCH/SLICE: import journal (resume) ----------
+// Журнал текущего импорта хранится в IndexedDB (по доске): порядок файлов,
+// запланированные центры слотов и счётчик готовых тайлов. В localStorage
+// центры тысяч тайлов упираются в квоту. Каждый созданный виджет получает
+// importId в metadata — по нему при Resume находим уже загруженные тайлы.
 
-  // Не влезли в target при 0.8 — оставляем 0.8 (это сознательный компромисс ради качества).
-  let quality = 0.8;
-  let dataUrl = canvas.toDataURL("image/jpeg", quality);
-  if (dataUrl.length <= hardLimit) return dataUrl;
+const IMPORT_JOURNAL_SAVE_INTERVAL_MS = 2000;
+const IMPORT_SCAN_BATCH = 50;
+const IMPORT_JOURNAL_DB = `${META_APP_ID}-import-journal`;
+const IMPORT_JOURNAL_STORE = "journals";
 
-  // Крайний случай: даже при 0.8 пробиваем hardLimit — уменьшаем качество, чтобы гарантированно не падать.
-  const HARD_MIN_Q = 0.25;
-  while (dataUrl.length > hardLimit && quality > HARD_MIN_Q) {
-    quality -= 0.05;
-    dataUrl = canvas.toDataURL("image/jpeg", quality);
-  }
+let importJournalDbPromise = null;
 
-  // Последняя страховка
-  if (dataUrl.length > hardLimit) {
-    dataUrl = canvas.toDataURL("image/jpeg", HARD_MIN_Q);
+function openImportJournalDb() {
+  if (!importJournalDbPromise) {
+    importJournalDbPromise = new Promise((resolve, reject) => {
+      if (!window.indexedDB) {
+        reject(new Error("IndexedDB is not available"));
+        return;
+      }
+      const request = window.indexedDB.open(IMPORT_JOURNAL_DB, 1);
+      request.onupgradeneeded = () => request.result.createObjectStore(IMPORT_JOURNAL_STORE);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // Следующая попытка откроет базу заново.
+    importJournalDbPromise.catch(() => {
+      importJournalDbPromise = null;
+    });
   }
+  return importJournalDbPromise;
+}
 
-  return dataUrl;
+// Одна операция в отдельной транзакции; результат — request.result.
+async function withImportJournalStore(mode, operation) {
+  const db = await openImportJournalDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(IMPORT_JOURNAL_STORE, mode);
+    const request = operation(tx.objectStore(IMPORT_JOURNAL_STORE));
+    tx.oncomplete = () => resolve(request.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
 }
 
+function fileSignature(file) {
+  const path = file.webkitRelativePath || file.name || "";
+  return `${path}|${file.size}|${file.lastModified}`;
+}
 
-function computeVariableSlotCenters(
-  orderedInfos,
-  imagesPerRow,
-  startCorner,
-  viewCenterX,
-  viewCenterY
-) {
-  const totalSlots = orderedInfos.length;
-  if (!totalSlots) return [];
+// Путь файла внутри импорта: одноимённые файлы из разных папок / путей
+// архива (sceneA/001.png и sceneB/001.png) — разные файлы.
+function importPathOf(file) {
+  return file.webkitRelativePath || file.name || "image";
+}
+
+// Для виджетов без filePath (импорт до появления путей) — просто fileName.
+function importPathFromMeta(meta) {
+  return meta.filePath || meta.fileName;
+}
 
-  const cols = Math.max(1, imagesPerRow);
-  const rows = Math.ceil(totalSlots / cols);
-  const horizontalGap = 0;
-  const verticalGap = 0;
+function importedTileKey(filePath, tileIndex) {
+  return `${filePath}#${tileIndex || 1}`;
+}
 
-  const rowHeights = new Array(rows).fill(0);
-  const rowWidths = new Array(rows).fill(0);
+function createImportJournal(orderedInfos, slotCenters) {
+  const bounds = { left: Infinity, top: Infinity, right: -Infinity, bottom: -Infinity };
+  orderedInfos.forEach((info, i) => {
+    const c = slotCenters[i];
+    // Размер на доске: с display size / replace in place центр несёт ширину.
+    const scale = c.width ? c.width / info.width : 1;
+    const halfWidth = (info.width * scale) / 2;
+    const halfHeight = (info.height * scale) / 2;
+    bounds.left = Math.min(bounds.left, c.x - halfWidth);
+    bounds.top = Math.min(bounds.top, c.y - halfHeight);
+    bounds.right = Math.max(bounds.right, c.x + halfWidth);
+    bounds.bottom = Math.max(bounds.bottom, c.y + halfHeight);
+  });
 
-  for (let i = 0; i < totalSlots; i++) {
-    const r = Math.floor(i / cols);
-    const info = orderedInfos[i];
-    const w = info.width;
-    const h = info.height;
+  return {
+    id: `imp-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    createdAt: Date.now(),
+    files: orderedInfos.map((info) => fileSignature(info.file)),
+    centers: slotCenters.map((c) => ({ ...c })),
+    bounds,
+    totalTiles: 0,
+    doneTiles: 0,
+  };
+}
 
-    if (h > rowHeights[r]) rowHeights[r] = h;
-    if (rowWidths[r] > 0) rowWidths[r] += horizontalGap;
-    rowWidths[r] += w;
+async function loadImportJournal() {
+  const key = await getBoardStorageKey("import-journal");
+  let journal = null;
+  try {
+    journal = await withImportJournalStore("readonly", (store) => store.get(key));
+  } catch (e) {
+    console.warn("Import journal read failed:", e);
   }
+  return journal && Array.isArray(journal.files) ? journal : null;
+}
 
-  const gridWidth = rowWidths.length ? Math.max(...rowWidths) : 0;
-  const gridHeight =
-    rowHeights.reduce((sum, h) => sum + h, 0) +
-    verticalGap * Math.max(0, rows - 1);
+// false — записать не удалось (квота, приватный режим): Resume будет недоступен.
+async function saveImportJournal(journal) {
+  const key = await getBoardStorageKey("import-journal");
+  try {
+    await withImportJournalStore("readwrite", (store) => store.put(journal, key));
+    return true;
+  } catch (e) {
+    console.warn("Import journal write failed:", e);
+    return false;
+  }
+}
 
-  const rowTop = new Array(rows).fill(0);
-  for (let r = 1; r < rows; r++) {
-    rowTop[r] = rowTop[r - 1] + rowHeights[r - 1] + verticalGap;
+async function clearImportJournal() {
+  const key = await getBoardStorageKey("import-journal");
+  try {
+    await withImportJournalStore("readwrite", (store) => store.delete(key));
+  } catch (e) {
+    console.warn("Import journal delete failed:", e);
   }
+}
 
-  const baseX = new Array(totalSlots).fill(0);
-  const baseY = new Array(totalSlots).fill(0);
-  const rowCursorX = new Array(rows).fill(0);
+// Журнал подходит, если выбраны ровно те же файлы (имя/путь, размер, дата).
+function journalMatchesFiles(journal, filesArray) {
+  if (!journal || journal.files.length !== filesArray.length) return false;
+  const selected = new Set(filesArray.map(fileSignature));
+  return journal.files.every((signature) => selected.has(signature));
+}
 
-  for (let i = 0; i < totalSlots; i++) {
-    const r = Math.floor(i / cols);
-    const info = orderedInfos[i];
-    const w = info.width;
+/**
+ * Ключи (filePath#tileIndex) тайлов этого импорта, которые уже есть на доске.
+ * Проверяем только изображения в пределах запланированной сетки.
+ */
+async function findJournalTilesOnBoard(journal) {
+  const { left, top, right, bottom } = journal.bounds;
+  const images = await board.get({ type: "image" });
+  // Импорт во фрейм: координаты детей относительные, фильтруем по родителю.
+  const candidates = images.filter((img) =>
+    journal.frameId
+      ? img.parentId === journal.frameId
+      : img.x >= left && img.x <= right && img.y >= top && img.y <= bottom
+  );
+
+  const keys = new Set();
+  for (let i = 0; i < candidates.length; i += IMPORT_SCAN_BATCH) {
+    const batch = candidates.slice(i, i + IMPORT_SCAN_BATCH);
+    const metas = await Promise.all(batch.map(readAppMetadata));
+    metas.forEach((meta) => {
+      if (meta && meta.importId === journal.id && meta.fileName) {
+        keys.add(importedTileKey(importPathFromMeta(meta), meta.tileIndex));
+      }
+    });
+  }
+  return keys;
+}
 
-    const centerY = rowTop[r] + rowHeights[r] / 2;
-    const centerX = rowCursorX[r] + w / 2;
+function hideResumeBanner() {
+  const banner = document.getElementById("stitchResumeBanner");
+  if (banner) banner.hidden = true;
+}
 
-    baseX[i] = centerX;
-    baseY[i] = centerY;
+async function refreshResumeBanner() {
+  const banner = document.getElementById("stitchResumeBanner");
+  const text = document.getElementById("stitchResumeText");
+  if (!banner) return;
 
-    rowCursorX[r] += w + horizontalGap;
-  }
+  const filesArray = getStitchFiles();
+  const journal = filesArray.length ? await loadImportJournal() : null;
 
-  let flipX = false;
-  let flipY = false;
-  switch (startCorner) {
-    case "top-right":
-      flipX = true;
-      break;
-    case "bottom-left":
-      flipY = true;
-      break;
-    case "bottom-right":
-      flipX = true;
-      flipY = true;
-      break;
-    default:
-      break;
+  if (!journalMatchesFiles(journal, filesArray)) {
+    banner.hidden = true;
+    return;
   }
 
-  const centers = [];
-  for (let i = 0; i < totalSlots; i++) {
-    let x0 = baseX[i] - gridWidth / 2;
-    let y0 = baseY[i] - gridHeight / 2;
-
-    if (flipX) x0 = -x0;
-    if (flipY) y0 = -y0;
+  if (text) {
+    text.textContent =
+      `Unfinished import of these files: ${journal.doneTiles} / ` +
+      `${journal.totalTiles} tiles uploaded.`;
+  }
+  banner.hidden = false;
+}
 
-    const cx = viewCenterX + x0;
-    const cy = viewCenterY + y0;
-    centers.push({ x: cx, y: cy });
+async function handleResumeClick(event) {
+  const journal = await loadImportJournal();
+  if (!journal) {
+    hideResumeBanner();
+    return;
   }
+  await handleStitchSubmit(event, { resumeJournal: journal });
+}
 
-  return centers;
+async function handleDiscardJournalClick() {
+  await clearImportJournal();
+  hideResumeBanner();
 }
 
-function computeSkipMissingSlotCenters(
-  tileInfos,
-  imagesPerRow,
-  startCorner,
-  viewCenterX,
-  viewCenterY
-) {
-  if (!tileInfos.length) return [];
+// ---------- STITCH/SLICE: duplicates on the board ----------
+// Перед загрузкой ищем на доске изображения этого приложения с тем же путём
+// файла (metadata.filePath; у старых импортов — fileName) — на всей доске или,
+// при импорте в выбранный фрейм, только среди его детей.
+// Политика на запуск: "copy" (как раньше), "skip" или "replace" (новый файл
+// встаёт на место старого с его размером; неизменённые файлы не трогаем —
+// сравниваем contentHash из metadata, у старых импортов без хэша — дату
+// изменения и размер файла). Хэш пишется при загрузке каждого файла.
 
-  const nums = tileInfos.map((n) => n.num);
-  const minNum = Math.min(...nums);
-  const maxNum = Math.max(...nums);
+const contentHashCache = new WeakMap();
 
-  const cols = Math.max(1, imagesPerRow);
-  const cellWidth = tileInfos[0].info.width;
-  const cellHeight = tileInfos[0].info.height;
+// blob — уже открытое содержимое файла (чтобы не читать его второй раз).
+async function getFileContentHash(file, blob = null) {
+  if (contentHashCache.has(file)) return contentHashCache.get(file);
 
-  const totalSlots = maxNum - minNum + 1;
-  const rows = Math.ceil(totalSlots / cols);
+  let hash = null;
+  try {
+    if (window.crypto && window.crypto.subtle) {
+      const buffer = await (blob || (await openImportFile(file))).arrayBuffer();
+      const digest = await window.crypto.subtle.digest("SHA-256", buffer);
+      hash = Array.from(new Uint8Array(digest))
+        .map((b) => b.toString(16).padStart(2, "0"))
+        .join("");
+    }
+  } catch (e) {
+    console.warn("Content hash failed for", file.name, e);
+  }
+  contentHashCache.set(file, hash);
+  return hash;
+}
 
-  const gridWidth = cols * cellWidth;
-  const gridHeight = rows * cellHeight;
+// "C07/512 hero_03_01.png" → ["hero_03_01.png", "hero_03.png"]
+function fileNamesFromTitle(title) {
+  const clean = stripColorCode(title);
+  const names = [clean];
+  const tileMatch = clean.match(/^(.*)_\d{2,}(\.[^.]*)?$/);
+  if (tileMatch) names.push(`${tileMatch[1]}${tileMatch[2] || ""}`);
+  return names;
+}
 
-  let flipX = false;
-  let flipY = false;
-  switch (startCorner) {
-    case "top-right":
-      flipX = true;
-      break;
-    case "bottom-left":
-      flipY = true;
-      break;
-    case "bottom-right":
-      flipX = true;
-      flipY = true;
-      break;
-    default:
-      break;
+/**
+ * Уже импортированные копии входящих файлов.
+ * Возвращает Map filePath → { items, meta, x, y, width, height } (первая найденная копия;
+ * для мозаик — весь блок тайлов).
+ */
+async function findExistingImports(infos, scopeFrame = null) {
+  // В title только имя файла — по нему предварительный отбор, точное совпадение по metadata.
+  const wantedNames = new Set(infos.map((info) => info.file.name || "image"));
+  const wanted = new Set([...wantedNames, ...infos.map((info) => importPathOf(info.file))]);
+  const images = await board.get({ type: "image" });
+  const candidates = images.filter(
+    (img) =>
+      (!scopeFrame || img.parentId === scopeFrame.id) &&
+      fileNamesFromTitle(getTitle(img)).some((name) => wantedNames.has(name))
+  );
+
+  const singles = [];
+  const tiles = [];
+  for (let i = 0; i < candidates.length; i += IMPORT_SCAN_BATCH) {
+    const batch = candidates.slice(i, i + IMPORT_SCAN_BATCH);
+    const metas = await Promise.all(batch.map(readAppMetadata));
+    metas.forEach((meta, j) => {
+      if (!meta || !meta.fileName || !wanted.has(importPathFromMeta(meta))) return;
+      if (isMosaicTileMeta(meta)) tiles.push({ item: batch[j], meta });
+      else singles.push({ item: batch[j], meta });
+    });
   }
 
-  const centersByFileId = new Map();
+  const existing = new Map();
+  const parents = new Map();
+  for (const { item, meta } of singles) {
+    const key = importPathFromMeta(meta);
+    if (existing.has(key)) continue;
+    const pos = await getBoardPosition(item, parents);
+    existing.set(key, {
+      items: [item],
+      meta,
+      x: pos.x,
+      y: pos.y,
+      width: item.width,
+      height: item.height,
+    });
+  }
 
-  for (const { info, num } of tileInfos) {
-    const pos = num - minNum;
-    let row = Math.floor(pos / cols);
-    let col = pos % cols;
+  const metaByItem = new Map(tiles.map((t) => [t.item, t.meta]));
+  for (const copy of groupMosaicTiles(tiles)) {
+    if (existing.has(copy.filePath)) continue;
+    const layout = computeMosaicLayout(copy);
+    const anchor = layout.tiles[0];
+    const pos = await getBoardPosition(anchor.item, parents);
+    existing.set(copy.filePath, {
+      items: layout.tiles.map((t) => t.item),
+      meta: metaByItem.get(anchor.item),
+      x: pos.x - anchor.dx + layout.width / 2,
+      y: pos.y - anchor.dy + layout.height / 2,
+      width: layout.width,
+      height: layout.height,
+    });
+  }
+
+  return existing;
+}
 
-    if (flipX) col = cols - 1 - col;
-    if (flipY) row = rows - 1 - row;
+async function isUnchangedImport(meta, file) {
+  if (!meta) return false;
+  if (meta.contentHash) {
+    const hash = await getFileContentHash(file);
+    return Boolean(hash) && hash === meta.contentHash;
+  }
+  // Импорты до contentHash: дата изменения и размер (если записан).
+  if (!meta.lastModified || meta.lastModified !== file.lastModified) return false;
+  return meta.fileSize === undefined || meta.fileSize === file.size;
+}
+
+/**
+ * Делит входящие файлы по политике дубликатов.
+ * gridInfos — идут в сетку; replacements — [{ info, placement }], где placement
+ * содержит центр и ширину старого виджета и id виджетов на удаление.
+ * scopeFrame — искать копии только в этом фрейме (импорт в выбранный фрейм).
+ */
+async function resolveDuplicates(orderedInfos, policy, scopeFrame = null) {
+  const result = { gridInfos: orderedInfos, replacements: [], skipped: 0, unchanged: 0 };
+  if (policy !== "skip" && policy !== "replace") return result;
+
+  const existing = await findExistingImports(orderedInfos, scopeFrame);
+  if (!existing.size) return result;
+
+  result.gridInfos = [];
+  for (const info of orderedInfos) {
+    // Старые импорты без filePath совпадают по имени — но каждая копия
+    // достаётся только одному входящему файлу.
+    const path = importPathOf(info.file);
+    const key = existing.has(path) ? path : info.file.name || "image";
+    const found = existing.get(key);
+    existing.delete(key);
+    if (!found) {
+      result.gridInfos.push(info);
+      continue;
+    }
 
-    const left = viewCenterX - gridWidth / 2 + col * cellWidth;
-    const top = viewCenterY - gridHeight / 2 + row * cellHeight;
+    if (policy === "skip") {
+      result.skipped += 1;
+      continue;
+    }
 
-    const cx = left + cellWidth / 2;
-    const cy = top + cellHeight / 2;
+    if (await isUnchangedImport(found.meta, info.file)) {
+      result.unchanged += 1;
+      continue;
+    }
 
-    centersByFileId.set(info.file, { x: cx, y: cy });
+    result.replacements.push({
+      info,
+      placement: {
+        x: found.x,
+        y: found.y,
+        width: found.width,
+        replaceIds: found.items.map((item) => item.id),
+        parentId: found.items[0].parentId || null,
+      },
+    });
   }
 
-  return centersByFileId;
+  return result;
 }
 
 // ---------- STITCH/S SLICE handler ----------
 
-async function handleStitchSubmit(event) {
+/**
+ * options.resumeJournal — продолжить незавершённый импорт: порядок файлов и
+ * центры слотов берутся из журнала, уже загруженные тайлы пропускаются.
+ */
+async function handleStitchSubmit(event, options = {}) {
   event.preventDefault();
+  const resumeJournal = options.resumeJournal || null;
 
   const stitchButton = document.getElementById("stitchButton");
   const progressBarEl = document.getElementById("stitchProgressBar");
@@ -847,14 +4525,19 @@ if (!setProgress._throttleWrapped) {
     const form = document.getElementById("stitch-form");
     if (!form) return;
 
-    const imagesPerRow = Number(form.stitchImagesPerRow.value) || 1;
-    const startCorner = form.stitchStartCorner.value;
-    const skipMissingTiles = form.stitchSkipMissing.checked;
+    const stitchConfig = readStitchConfig(form);
+    const { imagesPerRow, duplicatePolicy, target, folderMode, nameOrder } = stitchConfig;
 
-    const input = document.getElementById("stitchFolderInput");
-    const files = input ? input.files : null;
+    // Импортируем туда же, где было показано превью (даже если вьюпорт сдвинули).
+    const previewAnchor =
+      previewState.tab === "stitch" ? previewState.anchor : null;
+    const previewFrame =
+      previewState.tab === "stitch" ? previewState.frame : null;
+    await clearPreview();
 
-    if (!files || !files.length) {
+    const files = getStitchFiles();
+
+    if (!files.length) {
       await board.notifications.showError(
         "Please select one or more image files."
       );
@@ -862,11 +4545,32 @@ if (!setProgress._throttleWrapped) {
     }
 
     if (imagesPerRow < 1) {
-      await board.notifications.showError("“Rows” must be greater than 0.");
+      await board.notifications.showError("“Columns / Rows” must be greater than 0.");
       return;
     }
 
+    // Целевой фрейм: для resume — тот же, что в исходном запуске.
+    let targetFrame = null;
+    if (resumeJournal && resumeJournal.frameId) {
+      try {
+        targetFrame = await board.getById(resumeJournal.frameId);
+      } catch (e) {
+        console.warn("Stitch/Slice: target frame of the journal not found", e);
+      }
+    } else if (!resumeJournal && target === "frame") {
+      targetFrame = previewFrame || (await getSelectedFrame());
+      if (!targetFrame) {
+        await board.notifications.showError(
+          "Select exactly one frame on the board to import into."
+        );
+        return;
+      }
+    }
+
     if (stitchButton) stitchButton.disabled = true;
+    stitchAbortController = new AbortController();
+    const signal = stitchAbortController.signal;
+    setStitchCancelVisible(true);
     setProgress(0, 0, "");
     setEtaText(null);
     if (setEtaText.flush) setEtaText.flush();
@@ -920,121 +4624,30 @@ if (!setProgress._throttleWrapped) {
       setEtaText(etaMs);
     };
 
-    let viewCenterX = 0;
-    let viewCenterY = 0;
-    try {
-      const viewport = await board.viewport.get();
-      viewCenterX = viewport.x + viewport.width / 2;
-      viewCenterY = viewport.y + viewport.height / 2;
-    } catch (e) {
-      console.warn("Stitch/Slice: could not get viewport, fallback to 0,0", e);
-    }
+    const { x: viewCenterX, y: viewCenterY } =
+      previewAnchor || (await getViewportCenter());
 
-    const fileInfos = [];
-    let anySliced = false;
+    const cachedPrep = getStitchPrepCache(filesArray);
+    const fileInfos = cachedPrep ? cachedPrep.fileInfos.slice() : [];
 
         startPrepEta();
 setProgress(0, prepTotalSteps, "Preparing files…", 0, filesArray.length);
 
-    for (let i = 0; i < filesArray.length; i++) {
+    for (let i = 0; !cachedPrep && i < filesArray.length && !signal.aborted; i++) {
       const file = filesArray[i];
       // Обновляем прогресс на этапе подготовки файлов
       setProgress(i + 1, prepTotalSteps, "Preparing files…", i + 1, filesArray.length);
       updatePrepEta(i + 1, prepTotalSteps);
       // Даем браузеру шанс отрисовать прогресс на больших партиях
       await new Promise((r) => setTimeout(r, 0));
-// Используем object URL вместо dataURL, чтобы не держать гигантские base64-строки в памяти.
-const objectUrl = URL.createObjectURL(file);
-
-let imgEl;
-try {
-  // Для objectUrl crossOrigin не нужен, но в loadImage он выставлен — это ок.
-  imgEl = await loadImage(objectUrl);
-        URL.revokeObjectURL(objectUrl);
-} catch (e) {
-        URL.revokeObjectURL(objectUrl);
-
-        console.error("Stitch/Slice: browser failed to decode image", file.name, e);
-        await board.notifications.showError(
-          `Cannot import "${file.name}": browser failed to decode the image.`
-        );
-        continue;
-      }
-
-      const width = imgEl.naturalWidth || imgEl.width;
-      const height = imgEl.naturalHeight || imgEl.height;
-
-      if (!width || !height) {
-        console.error("Stitch/Slice: invalid dimensions", width, height, file.name);
-        await board.notifications.showError(
-          `Cannot import "${file.name}": image has invalid dimensions.`
-        );
-        continue;
-      }
-
-      if (width > MAX_SLICE_DIM || height > MAX_SLICE_DIM) {
-        console.warn(
-          `Stitch/Slice: image too large (${width}x${height}), limit is ${MAX_SLICE_DIM}px per side.`
-        );
-        await board.notifications.showError(
-          `Image "${file.name}" is too large (${width}×${height}). ` +
-            `Stitch/Slice supports up to ${MAX_SLICE_DIM}px per side on this device. ` +
-            `Please downscale or pre-slice it externally.`
-        );
-        continue;
-      }
-
-      let brightness = 0.5;
-      let saturation = 0.0;
-      try {
-        const res = getBrightnessAndSaturationFromImageElement(imgEl);
-        if (res) {
-          brightness = res.brightness;
-          saturation = res.saturation;
-        }
-      } catch (e) {
-        console.warn(
-          "Stitch/Slice: brightness/saturation calc failed for",
-          file.name,
-          e
-        );
-      }
-
-      const briCodeRaw = Math.round((1 - brightness) * 999);
-      const briCode = Math.max(0, Math.min(999, briCodeRaw));
-
-      const boostedSat = Math.min(1, saturation * SAT_BOOST);
-      const satCodeRaw = Math.round(boostedSat * SAT_CODE_MAX);
-      const satCode = Math.max(0, Math.min(SAT_CODE_MAX, satCodeRaw));
-
-      const needsSlice =
-        width > SLICE_THRESHOLD_WIDTH || height > SLICE_THRESHOLD_HEIGHT;
-
-      if (needsSlice) anySliced = true;
-
-      let tilesX = 1;
-      let tilesY = 1;
-      let numTiles = 1;
-      if (needsSlice) {
-        tilesX = Math.ceil(width / SLICE_TILE_SIZE);
-        tilesY = Math.ceil(height / SLICE_TILE_SIZE);
-        numTiles = tilesX * tilesY;
-      }
-      // Освобождаем ссылку на декодированное изображение (помогает GC на больших партиях)
-      try { imgEl.src = ""; } catch (e) {}
-
+      const info = await analyzeImageFile(file);
+      if (info) fileInfos.push(info);
+    }
 
-      fileInfos.push({
-        file,
-        width,
-        height,
-        briCode,
-        satCode,
-        needsSlice,
-        tilesX,
-        tilesY,
-        numTiles,
-      });
+    if (signal.aborted) {
+      setProgress(0, 0, "Cancelled.");
+      setEtaText(null);
+      return;
     }
 
     // Доп. шаги подготовки (раньше здесь было ощущение "простоя")
@@ -1052,23 +4665,65 @@ try {
     updatePrepEta(prepDone, prepTotalSteps);
     await new Promise((r) => setTimeout(r, 0));
 
-    const orderedFiles = sortFilesByNameWithNumber(filesArray);
+    const fileGroups = getCachedFileGroups(
+      cachedPrep,
+      filesArray,
+      fileInfos,
+      folderMode,
+      nameOrder
+    );
 
     // 2) indexing
     prepDone += 1;
     setProgress(prepDone, prepTotalSteps, "Preparing files… (indexing)", filesArray.length, filesArray.length);
     updatePrepEta(prepDone, prepTotalSteps);
     await new Promise((r) => setTimeout(r, 0));
-    const infoByFile = new Map();
-    fileInfos.forEach((info) => infoByFile.set(info.file, info));
+    let infoGroups = buildInfoGroups(fileGroups, fileInfos);
+    let orderedInfos = infoGroups.flatMap((g) => g.infos);
+
+    // Resume: порядок и слоты — как в исходном запуске.
+    let journalCenters = null;
+    if (resumeJournal) {
+      const infoBySignature = new Map(
+        fileInfos.map((info) => [fileSignature(info.file), info])
+      );
+      orderedInfos = [];
+      journalCenters = [];
+      resumeJournal.files.forEach((signature, i) => {
+        const info = infoBySignature.get(signature);
+        if (!info) return;
+        orderedInfos.push(info);
+        journalCenters.push(resumeJournal.centers[i]);
+      });
+    }
 
-    const orderedInfos = orderedFiles
-      .map((f) => infoByFile.get(f))
-      .filter(Boolean);
+    // Дубликаты на доске (для resume не нужно — там свой учёт по importId).
+    let replacements = [];
+    let duplicatesSkipped = 0;
+    if (!resumeJournal && duplicatePolicy !== "copy") {
+      setProgress(prepDone, prepTotalSteps, "Checking board for duplicates…", filesArray.length, filesArray.length);
+      const dup = await resolveDuplicates(
+        orderedInfos,
+        duplicatePolicy,
+        target === "frame" ? targetFrame : null
+      );
+      orderedInfos = dup.gridInfos;
+      infoGroups = filterInfoGroups(infoGroups, dup.gridInfos);
+      replacements = dup.replacements;
+      duplicatesSkipped = dup.skipped + dup.unchanged;
+      if (duplicatesSkipped) {
+        console.log("Stitch/Slice – duplicates left untouched:", duplicatesSkipped);
+      }
+    }
 
-    if (!orderedInfos.length) {
+    if (!orderedInfos.length && !replacements.length) {
       setProgress(0, 0, "Nothing to import.");
       setEtaText(null);
+      if (duplicatesSkipped) {
+        await board.notifications.showInfo(
+          `All ${duplicatesSkipped} file${duplicatesSkipped === 1 ? " is" : "s are"} already on the board.`
+        );
+      }
       return;
     }
 
@@ -1078,79 +4733,105 @@ try {
     updatePrepEta(prepDone, prepTotalSteps);
     await new Promise((r) => setTimeout(r, 0));
 
-    const totalTiles = orderedInfos.reduce(
-      (sum, info) => sum + (info.needsSlice ? info.numTiles : 1),
-      0
-    );
+    const plannedTiles = orderedInfos
+      .concat(replacements.map((r) => r.info))
+      .reduce((sum, info) => sum + (info.needsSlice ? info.numTiles : 1), 0);
 
-    if (anySliced && skipMissingTiles) {
-      await board.notifications.showInfo(
-        '“Skip missing tiles” is ignored for large images (Stitch/Slice).'
-      );
+    // Resume: ищем на доске тайлы, уже созданные этим импортом.
+    let doneTileKeys = new Set();
+    if (resumeJournal) {
+      setProgress(prepDone, prepTotalSteps, "Checking board for uploaded tiles…", filesArray.length, filesArray.length);
+      if (setProgress.flush) setProgress.flush();
+      doneTileKeys = await findJournalTilesOnBoard(resumeJournal);
     }
+    const isTileDone = (info, tileIndex) =>
+      doneTileKeys.has(importedTileKey(importPathOf(info.file), tileIndex));
+
+    const totalTiles = plannedTiles - doneTileKeys.size;
+
+    const shapeNote = infoGroups
+      .map((g) => describeGridShapeMismatch(g.infos.length, stitchConfig))
+      .find(Boolean);
+    if (shapeNote && !resumeJournal) await board.notifications.showInfo(shapeNote);
+    const skipMissingNote = infoGroups
+      .map((g) => describeSkipMissingOverflow(g.infos, stitchConfig))
+      .find(Boolean);
+    if (skipMissingNote && !resumeJournal) await board.notifications.showInfo(skipMissingNote);
 
     // 4) layout planning (не доводим прогресс до 100% ДО завершения расчётов)
     setProgress(prepDone, prepTotalSteps, "Preparing files… (layout)", filesArray.length, filesArray.length);
     updatePrepEta(prepDone, prepTotalSteps);
     await new Promise((r) => setTimeout(r, 0));
 
-let slotCentersByFile = null;
-    let slotCentersArray = null;
+    let slotCenters = journalCenters;
+    let folderHeadings = [];
+    // Фрейм, созданный этим запуском (target "new-frame"): при Cancel → Delete удаляем и его.
+    let createdFrame = null;
+    if (!slotCenters) {
+      const planned = planStitchTarget(
+        infoGroups,
+        stitchConfig,
+        { x: viewCenterX, y: viewCenterY },
+        targetFrame
+      );
+      slotCenters = planned.centers;
+      folderHeadings = planned.headings;
+      if (planned.frameRect) {
+        targetFrame = await prepareTargetFrame(
+          target,
+          targetFrame,
+          planned.frameRect,
+          getBatchTitle(filesArray)
+        );
+        if (target === "new-frame") createdFrame = targetFrame;
+      }
+    }
+
+    // Замены встают на место старых виджетов, вне сетки.
+    if (replacements.length) {
+      orderedInfos = orderedInfos.concat(replacements.map((r) => r.info));
+      slotCenters = slotCenters.concat(replacements.map((r) => r.placement));
+    }
 
-    const hasAnyNumber = orderedInfos.some((info) => {
-      const name = info.file.name || "";
-      return extractTrailingNumber(name) !== null;
-    });
+    const journal = resumeJournal || createImportJournal(orderedInfos, slotCenters);
+    if (targetFrame) journal.frameId = targetFrame.id;
+    journal.totalTiles = plannedTiles;
+    journal.doneTiles = doneTileKeys.size;
 
-    if (!anySliced && skipMissingTiles && hasAnyNumber) {
-      const tileInfos = [];
-      let minNum = Infinity;
-      let maxNum = -Infinity;
-
-      for (const info of orderedInfos) {
-        const name = info.file.name || "";
-        const num = extractTrailingNumber(name);
-        if (num === null) continue;
-        tileInfos.push({ info, num });
-        if (num < minNum) minNum = num;
-        if (num > maxNum) maxNum = num;
-      }
-
-      if (!tileInfos.length) {
-        slotCentersArray = computeVariableSlotCenters(
-          orderedInfos,
-          imagesPerRow,
-          startCorner,
-          viewCenterX,
-          viewCenterY
-        );
-      } else {
-        let current = maxNum;
-        for (const info of orderedInfos) {
-          const already = tileInfos.find((t) => t.info.file === info.file);
-          if (!already) {
-            current += 1;
-            tileInfos.push({ info, num: current });
-          }
-        }
-        slotCentersByFile = computeSkipMissingSlotCenters(
-          tileInfos,
-          imagesPerRow,
-          startCorner,
-          viewCenterX,
-          viewCenterY
-        );
-      }
-    } else {
-      slotCentersArray = computeVariableSlotCenters(
-        orderedInfos,
-        imagesPerRow,
-        startCorner,
-        viewCenterX,
-        viewCenterY
+    // О неудачной записи журнала сообщаем один раз за импорт.
+    let journalSaveReported = false;
+    const persistJournal = async () => {
+      if ((await saveImportJournal(journal)) || journalSaveReported) return;
+      journalSaveReported = true;
+      await board.notifications.showError(
+        "Could not save the import journal. Resume will not be available for this import."
       );
+    };
+    await persistJournal();
+    hideResumeBanner();
+
+    // Заголовки папок (при resume они уже созданы).
+    const createdHeadings = [];
+    for (const heading of folderHeadings) {
+      try {
+        const text = await createFolderHeading(heading);
+        if (targetFrame) await targetFrame.add(text);
+        createdHeadings.push(text);
+      } catch (e) {
+        console.warn("Stitch/Slice: failed to create folder heading", heading.text, e);
+      }
     }
 
+    let journalSavedTs = performance.now();
+    const markTileDone = () => {
+      journal.doneTiles += 1;
+      const now = performance.now();
+      if (now - journalSavedTs >= IMPORT_JOURNAL_SAVE_INTERVAL_MS) {
+        journalSavedTs = now;
+        persistJournal();
+      }
+    };
+
     // Завершили layout planning
     prepDone += 1;
     setProgress(prepDone, prepTotalSteps, "Preparing files… (layout)", filesArray.length, filesArray.length);
@@ -1197,7 +4878,11 @@ let slotCentersByFile = null;
     };
 
     const pad2 = (n) => String(n).padStart(2, "0");
-    const pad3 = (n) => String(n).padStart(3, "0");
+    // С "Clean titles" коды остаются только в metadata.
+    const makeTitle = (info, name) =>
+      stitchConfig.cleanTitles
+        ? name
+        : `${formatColorCode(info.satCode, info.briCode)} ${name}`;
 
     const updateCreationProgress = () => {
       setProgress(createdTiles, totalTiles, "Uploading to board…");
@@ -1317,6 +5002,8 @@ let slotCentersByFile = null;
           attempt += 1;
           uploadRetryEvents += 1;
 
+          // После Cancel не ретраим.
+          if (signal.aborted) throw createAbortError();
           if (attempt > CREATE_IMAGE_MAX_RETRIES) break;
 
           const msg = (e && e.message) ? e.message : String(e);
@@ -1325,6 +5012,7 @@ let slotCentersByFile = null;
           const base = baseDelay * Math.pow(2, attempt - 1);
           const jitter = Math.random() * 250;
           await sleep(base + jitter);
+          if (signal.aborted) throw createAbortError();
         }
       }
 
@@ -1338,8 +5026,12 @@ let slotCentersByFile = null;
         while (true) {
           const i = cursor;
           cursor += 1;
-          if (i >= items.length) break;
-          await worker(items[i], i);
+          if (i >= items.length || signal.aborted) break;
+          try {
+            await worker(items[i], i);
+          } catch (e) {
+            if (!isAbortError(e)) throw e;
+          }
         }
       });
 
@@ -1381,7 +5073,7 @@ const runWithAdaptiveConcurrency = async (
   // Avoid oscillation: small cooldown after changes.
   let cooldownBatches = 0;
 
-  while (idx < items.length) {
+  while (idx < items.length && !signal.aborted) {
     maxConcurrencySeen = Math.max(maxConcurrencySeen, concurrency);
 
     // Small batches let us react faster. Each "file" may expand into many tiles.
@@ -1474,25 +5166,63 @@ const runWithAdaptiveConcurrency = async (
 };
 ;
 
+    // Новые виджеты — детьми целевого фрейма; замены — в родителя старого виджета.
+    const attachToParent = async (widget, placement) => {
+      let parent = targetFrame;
+      if (placement.replaceIds) {
+        parent = null;
+        if (placement.parentId) {
+          try {
+            parent = await board.getById(placement.parentId);
+          } catch (e) {
+            console.warn("Stitch/Slice: parent of replaced widget not found", e);
+          }
+        }
+      }
+      if (!parent || typeof parent.add !== "function") return;
+      try {
+        await parent.add(widget);
+      } catch (e) {
+        console.warn("Stitch/Slice: failed to add widget to frame", e);
+      }
+    };
+
+    const removeReplacedWidgets = async (placement) => {
+      if (!placement.replaceIds || !placement.replaceIds.length) return;
+      try {
+        const oldItems = await board.get({ id: placement.replaceIds });
+        await removeWidgets(oldItems);
+      } catch (e) {
+        console.warn("Stitch/Slice: failed to remove replaced widgets", e);
+      }
+    };
+
     const processOneInfo = async (info, i) => {
+      if (signal.aborted) return;
       const { file, needsSlice, width, height, tilesX, tilesY } = info;
 
-      let center;
-      if (slotCentersByFile) {
-        center = slotCentersByFile.get(file) || { x: viewCenterX, y: viewCenterY };
-      } else if (slotCentersArray) {
-        center = slotCentersArray[i] || { x: viewCenterX, y: viewCenterY };
-      } else {
-        center = { x: viewCenterX, y: viewCenterY };
-      }
+      const center = slotCenters[i] || { x: viewCenterX, y: viewCenterY };
+      // placement.width задаёт итоговую ширину (replace in place) — масштабируем всё изображение.
+      const scale = center.width ? center.width / width : 1;
 
       const originalName = file.name || "image";
+
+      // Resume: файл целиком уже на доске — даже не декодируем.
+      let doneForFile = 0;
+      for (let t = 1; t <= info.numTiles; t++) {
+        if (isTileDone(info, t)) doneForFile += 1;
+      }
+      if (doneForFile === info.numTiles) return;
+
+      const fileBlob = await openImportFile(file);
+      const contentHash = await getFileContentHash(file, fileBlob);
+
       const nameMatch = originalName.match(/^(.*?)(\.[^.]*$|$)/);
       const baseName = nameMatch ? nameMatch[1] : originalName;
       const originalExt = nameMatch && nameMatch[2] ? nameMatch[2] : "";
 
       // Грузим изображение из локального object URL (без base64 в памяти)
-      const objectUrl = URL.createObjectURL(file);
+      const objectUrl = URL.createObjectURL(fileBlob);
       let imgEl;
       try {
         imgEl = await loadImage(objectUrl);
@@ -1513,34 +5243,41 @@ const runWithAdaptiveConcurrency = async (
       };
 
       if (!needsSlice) {
-        const title = `C${pad2(info.satCode)}/${pad3(info.briCode)} ${originalName}`;
+        const title = makeTitle(info, originalName);
 
         const urlToUse = makeFullImageDataUrl();
 
         const t0 = performance.now();
-        const imgWidget = await createImageWithRetry({
-          url: urlToUse,
-          x: center.x,
-          y: center.y,
-          title,
-        });
+        const imageParams = { url: urlToUse, x: center.x, y: center.y, title };
+        if (scale !== 1) imageParams.width = width * scale;
+        const imgWidget = await createImageWithRetry(imageParams);
         const t1 = performance.now();
 
         try {
           await imgWidget.setMetadata(META_APP_ID, {
             fileName: originalName,
+            filePath: importPathOf(file),
             satCode: info.satCode,
             briCode: info.briCode,
+            palette: info.palette,
+            dHash: info.dHash,
+            lastModified: info.file.lastModified,
+            fileSize: info.file.size,
+            importId: journal.id,
+            contentHash,
           });
         } catch (e) {
           console.warn("setMetadata failed (small image):", e);
         }
 
+        await attachToParent(imgWidget, center);
         allCreatedTiles.push(imgWidget);
+        markTileDone();
         uploadedBytesDone += (urlToUse ? urlToUse.length : 0);
         createdTiles += 1;
         updateCreationProgress();
 
+        await removeReplacedWidgets(center);
         return;
       }
 
@@ -1561,8 +5298,8 @@ const runWithAdaptiveConcurrency = async (
       const mosaicW = colWidths.reduce((sum, w) => sum + w, 0);
       const mosaicH = rowHeights.reduce((sum, h) => sum + h, 0);
 
-      const mosaicLeft = center.x - mosaicW / 2;
-      const mosaicTop = center.y - mosaicH / 2;
+      const mosaicLeft = center.x - (mosaicW * scale) / 2;
+      const mosaicTop = center.y - (mosaicH * scale) / 2;
 
       const colPrefix = [0];
       for (let tx = 1; tx < tilesX; tx++) {
@@ -1573,10 +5310,11 @@ const runWithAdaptiveConcurrency = async (
         rowPrefix[ty] = rowPrefix[ty - 1] + rowHeights[ty - 1];
       }
 
-      let tileIndexForName = 0;
+      for (let ty = 0; ty < tilesY && !signal.aborted; ty++) {
+        for (let tx = 0; tx < tilesX && !signal.aborted; tx++) {
+          const tileIndexForName = ty * tilesX + tx + 1;
+          if (isTileDone(info, tileIndexForName)) continue;
 
-      for (let ty = 0; ty < tilesY; ty++) {
-        for (let tx = 0; tx < tilesX; tx++) {
           const sx = tx * SLICE_TILE_SIZE;
           const sy = ty * SLICE_TILE_SIZE;
           const sw = colWidths[tx];
@@ -1591,41 +5329,46 @@ const runWithAdaptiveConcurrency = async (
           // опустит качество ниже 0.8, чтобы уложиться в лимиты.
           const tileDataUrl = canvasToDataUrlUnderLimit(canvas, TARGET_URL_BYTES);
 
-          const tileLeft = mosaicLeft + colPrefix[tx];
-          const tileTop = mosaicTop + rowPrefix[ty];
-          const centerX = tileLeft + sw / 2;
-          const centerY = tileTop + sh / 2;
+          const tileLeft = mosaicLeft + colPrefix[tx] * scale;
+          const tileTop = mosaicTop + rowPrefix[ty] * scale;
+          const centerX = tileLeft + (sw * scale) / 2;
+          const centerY = tileTop + (sh * scale) / 2;
 
-          tileIndexForName += 1;
           const tileSuffix = pad2(tileIndexForName); // 01, 02, 03...
           const tileBaseName = `${baseName}_${tileSuffix}`;
           const tileFullName = originalExt ? `${tileBaseName}${originalExt}` : tileBaseName;
 
-          const title = `C${pad2(info.satCode)}/${pad3(info.briCode)} ${tileFullName}`;
+          const title = makeTitle(info, tileFullName);
 
           const t0 = performance.now();
-          const tileWidget = await createImageWithRetry({
-            url: tileDataUrl,
-            x: centerX,
-            y: centerY,
-            title,
-          });
+          const tileParams = { url: tileDataUrl, x: centerX, y: centerY, title };
+          if (scale !== 1) tileParams.width = sw * scale;
+          const tileWidget = await createImageWithRetry(tileParams);
           const t1 = performance.now();
 
           try {
             await tileWidget.setMetadata(META_APP_ID, {
               fileName: originalName,
+              filePath: importPathOf(file),
               satCode: info.satCode,
               briCode: info.briCode,
+              palette: info.palette,
+              dHash: info.dHash,
+              lastModified: info.file.lastModified,
+              fileSize: info.file.size,
               tileIndex: tileIndexForName,
               tilesX,
               tilesY,
+              importId: journal.id,
+              contentHash,
             });
           } catch (e) {
             console.warn("setMetadata failed (tile):", e);
           }
 
+          await attachToParent(tileWidget, center);
           allCreatedTiles.push(tileWidget);
+          markTileDone();
           uploadedBytesDone += (tileDataUrl ? tileDataUrl.length : 0);
           createdTiles += 1;
           updateCreationProgress();
@@ -1633,6 +5376,9 @@ const runWithAdaptiveConcurrency = async (
       }
 
       try { imgEl.src = ""; } catch (e) {}
+
+      // Файл загружен полностью — убираем старую копию (replace in place).
+      if (!signal.aborted) await removeReplacedWidgets(center);
     };
 
     // Upload stage concurrency:
@@ -1642,6 +5388,57 @@ const minConcurrency = UPLOAD_CONCURRENCY_MIN;
 const maxConcurrency = UPLOAD_CONCURRENCY_MAX;
 
 await runWithAdaptiveConcurrency(orderedInfos, processOneInfo, initialConcurrency, minConcurrency, maxConcurrency);
+
+    if (signal.aborted) {
+      setStitchCancelVisible(false);
+      setProgress(createdTiles, totalTiles, "Cancelled:");
+      if (setProgress.flush) setProgress.flush();
+      setEtaText(null);
+      if (setEtaText.flush) setEtaText.flush();
+
+      const choice = allCreatedTiles.length
+        ? await askKeepOrDeleteCreated(allCreatedTiles.length)
+        : "keep";
+
+      // Ни одного тайла: пустой новый фрейм с заголовками на доске не нужен.
+      if (choice === "delete" || (!allCreatedTiles.length && createdFrame)) {
+        await removeWidgets(allCreatedTiles.concat(createdHeadings), (done, total) =>
+          setProgress(done, total, "Deleting…")
+        );
+        if (createdFrame) await removeWidgets([createdFrame]);
+      }
+
+      if (choice === "delete") {
+        // Созданное этим запуском удалено: если это был resume, журнал ещё нужен.
+        journal.doneTiles -= allCreatedTiles.length;
+        if (journal.doneTiles > 0) await persistJournal();
+        else await clearImportJournal();
+        if (setProgress.flush) setProgress.flush();
+        setProgress(0, 0, "Cancelled, created tiles deleted.");
+        await board.notifications.showInfo(
+          `Import cancelled. Deleted ${allCreatedTiles.length} created tile${
+            allCreatedTiles.length === 1 ? "" : "s"
+          }.`
+        );
+      } else {
+        // Фрейм журнала удалён выше — продолжать такой импорт уже некуда.
+        if (!allCreatedTiles.length && createdFrame) await clearImportJournal();
+        else await persistJournal();
+        setProgress(0, 0, `Cancelled, kept ${allCreatedTiles.length} tiles.`);
+        await board.notifications.showInfo(
+          `Import cancelled. Kept ${allCreatedTiles.length} of ${totalTiles} tile${
+            totalTiles === 1 ? "" : "s"
+          }.`
+        );
+      }
+      if (setProgress.flush) setProgress.flush();
+      return;
+    }
+
+    // Если что-то не создалось (ошибки после всех ретраев), журнал оставляем для Resume.
+    if (createdTiles >= totalTiles) await clearImportJournal();
+    else await persistJournal();
+
 setProgress(totalTiles, totalTiles);
     if (setProgress.flush) setProgress.flush();
     setEtaText(null);
@@ -1649,7 +5446,7 @@ setProgress(totalTiles, totalTiles);
 
     if (allCreatedTiles.length) {
       try {
-        await board.viewport.zoomTo(allCreatedTiles);
+        await board.viewport.zoomTo(targetFrame ? [targetFrame] : allCreatedTiles);
       } catch (e) {
         console.warn("zoomTo failed in Stitch/Slice:", e);
       }
@@ -1716,11 +5513,23 @@ setProgress(totalTiles, totalTiles);
       console.warn("[Image Align Tool] stats failed:", e);
     }
 
-    await board.notifications.showInfo(
-      `Imported ${fileInfos.length} source image${
-        fileInfos.length === 1 ? "" : "s"
-      } into ${totalTiles} tile${totalTiles === 1 ? "" : "s"}.`
-    );
+    if (resumeJournal) {
+      await board.notifications.showInfo(
+        `Resumed import: created ${createdTiles} tile${
+          createdTiles === 1 ? "" : "s"
+        }, ${doneTileKeys.size} already on the board.`
+      );
+    } else {
+      const importedSources = orderedInfos.length;
+      await board.notifications.showInfo(
+        `Imported ${importedSources} source image${
+          importedSources === 1 ? "" : "s"
+        } into ${totalTiles} tile${totalTiles === 1 ? "" : "s"}` +
+          (replacements.length ? `, replaced ${replacements.length}` : "") +
+          (duplicatesSkipped ? `, ${duplicatesSkipped} already on the board` : "") +
+          "."
+      );
+    }
   } catch (err) {
     console.error(err);
     setProgress(0, 0, "Error");
@@ -1729,11 +5538,526 @@ setProgress(totalTiles, totalTiles);
       "Something went wrong while importing images. Please check the console."
     );
   } finally {
+    stitchAbortController = null;
+    setStitchCancelVisible(false);
     const stitchButton = document.getElementById("stitchButton");
     if (stitchButton) stitchButton.disabled = false;
   }
 }
 
+// ---------- STITCH/SLICE: reassemble sliced mosaics ----------
+// Каждый тайл при импорте получает metadata { fileName, tileIndex, tilesX, tilesY }
+// (tileIndex 1-based, построчно). По ним собираем мозаику обратно без зазоров.
+
+async function readAppMetadata(item) {
+  if (!item || typeof item.getMetadata !== "function") return null;
+  try {
+    const meta = await item.getMetadata(META_APP_ID);
+    return meta && typeof meta === "object" ? meta : null;
+  } catch (e) {
+    console.warn("getMetadata failed:", item.id, e);
+    return null;
+  }
+}
+
+function isMosaicTileMeta(meta) {
+  return Boolean(
+    meta &&
+      meta.fileName &&
+      Number.isInteger(meta.tileIndex) &&
+      Number.isInteger(meta.tilesX) &&
+      Number.isInteger(meta.tilesY) &&
+      meta.tilesX * meta.tilesY > 1
+  );
+}
+
+/**
+ * Группирует тайлы по исходному файлу. Если один и тот же файл импортирован
+ * несколько раз, тайлы раскладываются по отдельным "копиям" мозаики
+ * (в порядке сверху-вниз/слева-направо на доске).
+ * tiles: [{ item, meta }] → [{ fileName, filePath, tilesX, tilesY, byIndex: Map<tileIndex, item> }]
+ */
+function groupMosaicTiles(tiles) {
+  const copiesByKey = new Map();
+  const ordered = [...tiles].sort((a, b) => {
+    if (a.item.y !== b.item.y) return a.item.y - b.item.y;
+    return a.item.x - b.item.x;
+  });
+
+  for (const { item, meta } of ordered) {
+    const key = `${importPathFromMeta(meta)}|${meta.tilesX}x${meta.tilesY}`;
+    if (!copiesByKey.has(key)) copiesByKey.set(key, []);
+    const copies = copiesByKey.get(key);
+
+    let copy = copies.find((c) => !c.byIndex.has(meta.tileIndex));
+    if (!copy) {
+      copy = {
+        fileName: meta.fileName,
+        filePath: importPathFromMeta(meta),
+        tilesX: meta.tilesX,
+        tilesY: meta.tilesY,
+        byIndex: new Map(),
+      };
+      copies.push(copy);
+    }
+    copy.byIndex.set(meta.tileIndex, item);
+  }
+
+  return Array.from(copiesByKey.values()).flat();
+}
+
+/**
+ * Раскладка мозаики в её собственных координатах: размеры блока и смещения
+ * центров тайлов от левого верхнего угла. Размеры колонок/строк берём
+ * с доски (тайлы могли масштабировать), для отсутствующих — оцениваем.
+ */
+function computeMosaicLayout(copy) {
+  const { tilesX, tilesY, byIndex } = copy;
+
+  const colWidths = new Array(tilesX).fill(0);
+  const rowHeights = new Array(tilesY).fill(0);
+  let unit = 0;
+
+  for (const [tileIndex, item] of byIndex) {
+    const tx = (tileIndex - 1) % tilesX;
+    const ty = Math.floor((tileIndex - 1) / tilesX);
+    if (item.width > colWidths[tx]) colWidths[tx] = item.width;
+    if (item.height > rowHeights[ty]) rowHeights[ty] = item.height;
+
+    // Все тайлы, кроме последней колонки/строки, имеют сторону SLICE_TILE_SIZE.
+    if (tx < tilesX - 1) unit = Math.max(unit, item.width);
+    if (ty < tilesY - 1) unit = Math.max(unit, item.height);
+  }
+
+  if (!unit) {
+    unit = Math.max(...colWidths, ...rowHeights);
+  }
+  for (let tx = 0; tx < tilesX; tx++) if (!colWidths[tx]) colWidths[tx] = unit;
+  for (let ty = 0; ty < tilesY; ty++) if (!rowHeights[ty]) rowHeights[ty] = unit;
+
+  const colPrefix = [0];
+  for (let tx = 1; tx < tilesX; tx++) {
+    colPrefix[tx] = colPrefix[tx - 1] + colWidths[tx - 1];
+  }
+  const rowPrefix = [0];
+  for (let ty = 1; ty < tilesY; ty++) {
+    rowPrefix[ty] = rowPrefix[ty - 1] + rowHeights[ty - 1];
+  }
+
+  const tiles = [];
+  const missing = [];
+  for (let tileIndex = 1; tileIndex <= tilesX * tilesY; tileIndex++) {
+    const item = byIndex.get(tileIndex);
+    if (!item) {
+      missing.push(tileIndex);
+      continue;
+    }
+    const tx = (tileIndex - 1) % tilesX;
+    const ty = Math.floor((tileIndex - 1) / tilesX);
+    tiles.push({
+      item,
+      tileIndex,
+      dx: colPrefix[tx] + item.width / 2,
+      dy: rowPrefix[ty] + item.height / 2,
+    });
+  }
+
+  return {
+    width: colWidths.reduce((sum, w) => sum + w, 0),
+    height: rowHeights.reduce((sum, h) => sum + h, 0),
+    tiles,
+    missing,
+  };
+}
+
+async function handleReassembleClick() {
+  const button = document.getElementById("reassembleButton");
+  if (button) button.disabled = true;
+
+  try {
+    const selection = await board.getSelection();
+    const images = selection.filter((i) => i.type === "image");
+    const metas = await Promise.all(images.map(readAppMetadata));
+
+    const tiles = [];
+    images.forEach((item, i) => {
+      if (isMosaicTileMeta(metas[i])) tiles.push({ item, meta: metas[i] });
+    });
+
+    if (!tiles.length) {
+      await board.notifications.showInfo(
+        "Select tiles of sliced images (imported with Stitch/Slice)."
+      );
+      return;
+    }
+
+    await pushUndoSnapshot(tiles.map((t) => t.item), "Reassemble");
+
+    const copies = groupMosaicTiles(tiles);
+    const moved = [];
+    const incomplete = [];
+
+    for (const copy of copies) {
+      const layout = computeMosaicLayout(copy);
+
+      // Якорь — тайл с наименьшим индексом: он остаётся на месте.
+      const anchor = layout.tiles[0];
+      const mosaicLeft = anchor.item.x - anchor.dx;
+      const mosaicTop = anchor.item.y - anchor.dy;
+
+      for (const tile of layout.tiles) {
+        tile.item.x = mosaicLeft + tile.dx;
+        tile.item.y = mosaicTop + tile.dy;
+        moved.push(tile.item);
+      }
+
+      if (layout.missing.length) {
+        incomplete.push({ fileName: copy.fileName, missing: layout.missing });
+      }
+    }
+
+    await Promise.all(moved.map((item) => item.sync()));
+
+    if (incomplete.length) {
+      console.groupCollapsed("Reassemble – missing tiles");
+      incomplete.forEach((m) => console.log(m.fileName, "=> missing", m.missing));
+      console.groupEnd();
+    }
+
+    const mosaicsText = `${copies.length} mosaic${copies.length === 1 ? "" : "s"}`;
+    if (incomplete.length) {
+      const missingTotal = incomplete.reduce((sum, m) => sum + m.missing.length, 0);
+      const names = incomplete.slice(0, 3).map((m) => m.fileName).join(", ");
+      await board.notifications.showInfo(
+        `Reassembled ${mosaicsText}. Missing ${missingTotal} tile${
+          missingTotal === 1 ? "" : "s"
+        } in: ${names}${incomplete.length > 3 ? "…" : ""} (see console).`
+      );
+    } else {
+      await board.notifications.showInfo(`Reassembled ${mosaicsText}.`);
+    }
+  } catch (err) {
+    console.error(err);
+    await board.notifications.showError(
+      "Something went wrong while reassembling tiles. Please check the console."
+    );
+  } finally {
+    if (button) button.disabled = false;
+  }
+}
+
+// ---------- preview (ghost grid) ----------
+// Рисуем на доске временные пунктирные рамки там, где окажутся изображения,
+// с номером слота внутри. Превью живёт до Apply (submit формы) или Cancel.
+
+const PREVIEW_MAX_SHAPES = 1000;
+const PREVIEW_CONCURRENCY = 4;
+const PREVIEW_REFRESH_DELAY_MS = 400;
+const PREVIEW_COLOR = "#2563eb";
+
+const previewState = {
+  tab: null,       // "sorting" | "stitch" | null
+  shapeIds: [],
+  images: null,    // Sorting: изображения, для которых строилось превью
+  anchor: null,    // Stitch: центр сетки на момент превью
+  frame: null,     // Stitch: выбранный фрейм (target "frame")
+};
+
+let previewQueue = Promise.resolve();
+let previewRefreshTimer = null;
+
+// Все операции с фигурами превью выполняются строго по очереди.
+function enqueuePreviewTask(task) {
+  const run = previewQueue.then(task);
+  previewQueue = run.catch((e) => console.warn("Preview task failed:", e));
+  return run;
+}
+
+async function removePreviewShapes() {
+  const ids = previewState.shapeIds;
+  previewState.shapeIds = [];
+  if (!ids.length) return;
+
+  const key = await getBoardStorageKey("preview");
+  try {
+    const shapes = await board.get({ id: ids });
+    await Promise.all(shapes.map((shape) => board.remove(shape)));
+  } catch (e) {
+    console.warn("Preview: failed to remove shapes", e);
+  }
+  writeStoredJson(key, []);
+}
+
+// Если панель закрыли при открытом превью, рамки остались на доске — убираем их.
+async function removeStalePreviewShapes() {
+  const key = await getBoardStorageKey("preview");
+  const ids = readStoredJson(key, []);
+  if (!Array.isArray(ids) || !ids.length) return;
+  previewState.shapeIds = ids;
+  await enqueuePreviewTask(removePreviewShapes);
+}
+
+function previewFontSize(width, height) {
+  const size = Math.round(Math.min(width, height) / 4);
+  return Math.max(10, Math.min(288, size));
+}
+
+async function drawPreviewShapes(slots) {
+  await removePreviewShapes();
+
+  const key = await getBoardStorageKey("preview");
+  const shownSlots = slots.slice(0, PREVIEW_MAX_SHAPES);
+  const createdIds = [];
+
+  const createOutline = async (params) => {
+    const shape = await board.createShape({
+      shape: "rectangle",
+      ...params,
+      style: {
+        fillColor: PREVIEW_COLOR,
+        fillOpacity: 0.06,
+        borderColor: PREVIEW_COLOR,
+        borderOpacity: 1,
+        borderStyle: "dashed",
+        borderWidth: 2,
+        color: PREVIEW_COLOR,
+        fontSize: previewFontSize(params.width, params.height),
+        textAlign: "center",
+        textAlignVertical: "middle",
+      },
+    });
+    createdIds.push(shape.id);
+    // Сохраняем id сразу, чтобы рамки можно было убрать и после перезагрузки панели.
+    writeStoredJson(key, createdIds);
+  };
+
+  let cursor = 0;
+  const runners = new Array(PREVIEW_CONCURRENCY).fill(0).map(async () => {
+    while (cursor < shownSlots.length) {
+      const i = cursor;
+      cursor += 1;
+      const slot = shownSlots[i];
+      await createOutline({
+        content: `<p>${slot.label ? escapeHtml(slot.label) : i + 1}</p>`,
+        x: slot.x,
+        y: slot.y,
+        width: Math.max(8, slot.width),
+        height: Math.max(8, slot.height),
+      });
+    }
+  });
+  await Promise.all(runners);
+
+  // Слишком много слотов — показываем первые и общий контур всей сетки.
+  if (slots.length > shownSlots.length) {
+    const left = Math.min(...slots.map((s) => s.x - s.width / 2));
+    const top = Math.min(...slots.map((s) => s.y - s.height / 2));
+    const right = Math.max(...slots.map((s) => s.x + s.width / 2));
+    const bottom = Math.max(...slots.map((s) => s.y + s.height / 2));
+    await createOutline({
+      content: `<p>${slots.length} slots</p>`,
+      x: (left + right) / 2,
+      y: (top + bottom) / 2,
+      width: Math.max(8, right - left),
+      height: Math.max(8, bottom - top),
+    });
+  }
+
+  previewState.shapeIds = createdIds;
+}
+
+async function buildSortingPreviewSlots() {
+  const form = document.getElementById("sorting-form");
+  if (!form || !previewState.images || !previewState.images.length) return [];
+
+  const config = readSortingConfig(form);
+  if (config.imagesPerRow < 1) return [];
+
+  const progressEl = document.getElementById("sortingProgress");
+  const units = await collectSortingUnits(previewState.images);
+  const ordered = await orderImagesForSorting(units, config.sortKeys, {
+    naturalOptions: config.naturalOptions,
+    dryRun: true,
+    onProgress: (done, total) => {
+      if (progressEl) progressEl.textContent = `Analyzing colors: ${done} / ${total}`;
+    },
+  });
+  if (progressEl) progressEl.textContent = "";
+
+  if (isSimilarityFirst(config.sortKeys) && config.clusterRows) {
+    config.rowBreaks = await similarityRowBreaks(ordered);
+  }
+  return planAlignment(ordered, config);
+}
+
+async function prepareStitchPreview(filesArray) {
+  const cached = getStitchPrepCache(filesArray);
+  if (cached) return cached;
+
+  const progressMainEl = document.getElementById("stitchProgressMain");
+  const fileInfos = [];
+  for (let i = 0; i < filesArray.length; i++) {
+    if (progressMainEl) {
+      progressMainEl.textContent = `Preview: analyzing ${i + 1} / ${filesArray.length}`;
+    }
+    const info = await analyzeImageFile(filesArray[i]);
+    if (info) fileInfos.push(info);
+  }
+  if (progressMainEl) progressMainEl.textContent = "";
+
+  stitchPrepCache = {
+    files: filesArray,
+    fileInfos,
+    fileGroupsByMode: {},
+  };
+  return stitchPrepCache;
+}
+
+async function buildStitchPreviewSlots() {
+  const form = document.getElementById("stitch-form");
+  const files = getStitchFiles();
+  if (!form || !files.length) return [];
+
+  const config = readStitchConfig(form);
+  if (config.imagesPerRow < 1) return [];
+
+  const prep = await prepareStitchPreview(files.slice());
+  const fileGroups = getCachedFileGroups(
+    prep,
+    prep.files,
+    prep.fileInfos,
+    config.folderMode,
+    config.nameOrder
+  );
+  const infoGroups = buildInfoGroups(fileGroups, prep.fileInfos);
+  const orderedInfos = infoGroups.flatMap((g) => g.infos);
+
+  const dup = await resolveDuplicates(
+    orderedInfos,
+    config.duplicatePolicy,
+    config.target === "frame" ? previewState.frame : null
+  );
+  const { centers, headings } = planStitchTarget(
+    filterInfoGroups(infoGroups, dup.gridInfos),
+    config,
+    previewState.anchor,
+    previewState.frame
+  );
+  const slots = dup.gridInfos.map((info, i) => {
+    // Вписанные в клетку картинки масштабируются (center.width).
+    const scale = centers[i].width ? centers[i].width / info.width : 1;
+    return {
+      x: centers[i].x,
+      y: centers[i].y,
+      width: info.width * scale,
+      height: info.height * scale,
+    };
+  });
+
+  // Заголовки папок — тоже рамками (без номера слота они не путаются с сеткой).
+  headings.forEach((h) => {
+    slots.push({ x: h.x, y: h.y, width: h.width, height: h.height, label: h.text });
+  });
+
+  // Замены показываем на месте старых виджетов.
+  dup.replacements.forEach(({ info, placement }) => {
+    slots.push({
+      x: placement.x,
+      y: placement.y,
+      width: placement.width,
+      height: info.height * (placement.width / info.width),
+    });
+  });
+  return slots;
+}
+
+function updatePreviewButtons() {
+  const buttons = {
+    sorting: document.getElementById("sortingPreviewButton"),
+    stitch: document.getElementById("stitchPreviewButton"),
+  };
+  Object.entries(buttons).forEach(([tab, button]) => {
+    if (!button) return;
+    button.textContent = previewState.tab === tab ? "Cancel preview" : "Preview";
+  });
+}
+
+async function refreshPreview() {
+  const tab = previewState.tab;
+  if (!tab) return;
+
+  const slots =
+    tab === "sorting"
+      ? await buildSortingPreviewSlots()
+      : await buildStitchPreviewSlots();
+
+  // Пока считали, превью могли отменить.
+  if (previewState.tab !== tab) return;
+  await drawPreviewShapes(slots);
+}
+
+function clearPreview() {
+  if (previewRefreshTimer) {
+    clearTimeout(previewRefreshTimer);
+    previewRefreshTimer = null;
+  }
+  previewState.tab = null;
+  previewState.images = null;
+  previewState.anchor = null;
+  previewState.frame = null;
+  updatePreviewButtons();
+  return enqueuePreviewTask(removePreviewShapes);
+}
+
+function schedulePreviewRefresh(tab) {
+  if (previewState.tab !== tab) return;
+  if (previewRefreshTimer) clearTimeout(previewRefreshTimer);
+  previewRefreshTimer = setTimeout(() => {
+    previewRefreshTimer = null;
+    enqueuePreviewTask(refreshPreview);
+  }, PREVIEW_REFRESH_DELAY_MS);
+}
+
+async function handlePreviewClick(tab) {
+  if (previewState.tab === tab) {
+    await clearPreview();
+    return;
+  }
+  await clearPreview();
+
+  try {
+    if (tab === "sorting") {
+      const images = await getSelectedImages();
+      if (!images.length) {
+        await board.notifications.showInfo(
+          "Select at least one image on the board."
+        );
+        return;
+      }
+      previewState.images = images;
+    } else {
+      if (!getStitchFiles().length) {
+        await board.notifications.showError(
+          "Please select one or more image files."
+        );
+        return;
+      }
+      previewState.anchor = await getViewportCenter();
+      previewState.frame = await getSelectedFrame();
+    }
+
+    previewState.tab = tab;
+    updatePreviewButtons();
+    await enqueuePreviewTask(refreshPreview);
+  } catch (err) {
+    console.error(err);
+    await clearPreview();
+    await board.notifications.showError(
+      "Something went wrong while building the preview. Please check the console."
+    );
+  }
+}
+
 // ---------- init ----------
 
 window.addEventListener("DOMContentLoaded", () => {
@@ -1745,6 +6069,60 @@ window.addEventListener("DOMContentLoaded", () => {
   const stitchForm = document.getElementById("stitch-form");
   if (stitchForm) stitchForm.addEventListener("submit", handleStitchSubmit);
 
+  [
+    ["sorting", sortingForm, "sortingPreviewButton"],
+    ["stitch", stitchForm, "stitchPreviewButton"],
+  ].forEach(([tab, form, buttonId]) => {
+    const button = document.getElementById(buttonId);
+    if (button) button.addEventListener("click", () => handlePreviewClick(tab));
+    if (form) {
+      form.addEventListener("input", () => schedulePreviewRefresh(tab));
+      form.addEventListener("change", () => schedulePreviewRefresh(tab));
+    }
+  });
+  removeStalePreviewShapes();
+
+  const stitchCancelButton = document.getElementById("stitchCancelButton");
+  if (stitchCancelButton) {
+    stitchCancelButton.addEventListener("click", handleStitchCancelClick);
+  }
+
+  const resumeButton = document.getElementById("stitchResumeButton");
+  if (resumeButton) resumeButton.addEventListener("click", handleResumeClick);
+  const discardButton = document.getElementById("stitchDiscardButton");
+  if (discardButton) {
+    discardButton.addEventListener("click", handleDiscardJournalClick);
+  }
+
+  const reassembleButton = document.getElementById("reassembleButton");
+  if (reassembleButton) {
+    reassembleButton.addEventListener("click", handleReassembleClick);
+  }
+
+  initSortKeysBuilder();
+
+  for (const prefix of ["sorting", "stitch"]) {
+    const shapeEl = document.getElementById(`${prefix}GridShape`);
+    if (!shapeEl) continue;
+    shapeEl.addEventListener("change", () => updateGridShapeLabel(prefix));
+    updateGridShapeLabel(prefix);
+  }
+
+  const stripCodesButton = document.getElementById("stripColorCodesButton");
+  if (stripCodesButton) {
+    stripCodesButton.addEventListener("click", () => handleColorCodeTitlesClick("strip"));
+  }
+  const restoreCodesButton = document.getElementById("restoreColorCodesButton");
+  if (restoreCodesButton) {
+    restoreCodesButton.addEventListener("click", () => handleColorCodeTitlesClick("restore"));
+  }
+
+  const revertButton = document.getElementById("sortingRevertButton");
+  if (revertButton) {
+    revertButton.addEventListener("click", handleRevertClick);
+    refreshRevertButton();
+  }
+
   const tabButtons = document.querySelectorAll(".tab-btn");
   const tabContents = {
     sorting: document.getElementById("tab-sorting"),
@@ -1772,24 +6150,80 @@ window.addEventListener("DOMContentLoaded", () => {
   }
 
   const fileButton = document.getElementById("stitchFileButton");
+  const folderButton = document.getElementById("stitchDirectoryButton");
   const fileInput = document.getElementById("stitchFolderInput");
+  const folderInput = document.getElementById("stitchDirectoryInput");
   const fileLabel = document.getElementById("stitchFileLabel");
 
   if (fileButton && fileInput && fileLabel) {
     fileButton.addEventListener("click", () => fileInput.click());
+    if (folderButton && folderInput) {
+      folderButton.addEventListener("click", () => folderInput.click());
+    }
 
     const updateLabel = () => {
-      const files = fileInput.files;
-      if (!files || files.length === 0) {
+      const files = getStitchFiles();
+      const folders = new Set(files.map(getFileFolder));
+      if (files.length === 0) {
         fileLabel.textContent = "No files selected";
       } else if (files.length === 1) {
         fileLabel.textContent = files[0].name;
+      } else if (folders.size > 1) {
+        fileLabel.textContent = `${files.length} files in ${folders.size} folders`;
       } else {
         fileLabel.textContent = `${files.length} files selected`;
       }
     };
 
-    fileInput.addEventListener("change", updateLabel);
+    const onFilesChosen = async (input) => {
+      const stitchButton = document.getElementById("stitchButton");
+      const progressMainEl = document.getElementById("stitchProgressMain");
+      if (stitchButton) stitchButton.disabled = true;
+
+      try {
+        // Из папки приходят и не-картинки (.DS_Store, .txt) — отбрасываем;
+        // .zip распаковываем.
+        const { files, skipped, archives } = await expandSelectedFiles(
+          Array.from(input.files || []),
+          (archiveName) => {
+            if (progressMainEl) progressMainEl.textContent = `Reading ${archiveName}…`;
+          }
+        );
+        if (progressMainEl && archives) progressMainEl.textContent = "";
+
+        stitchSelectedFiles = files;
+
+        if (skipped.length) {
+          console.groupCollapsed("ZIP – skipped entries");
+          console.table(skipped);
+          console.groupEnd();
+          const counts = new Map();
+          skipped.forEach((s) => counts.set(s.reason, (counts.get(s.reason) || 0) + 1));
+          const summary = Array.from(counts, ([reason, n]) => `${n} ${reason}`).join(", ");
+          await board.notifications.showInfo(
+            `Skipped in the archive: ${summary} (see console).`
+          );
+        }
+      } catch (e) {
+        console.error(e);
+        stitchSelectedFiles = [];
+        await board.notifications.showError(
+          "Could not read the selected files. Please check the console."
+        );
+      } finally {
+        if (stitchButton) stitchButton.disabled = false;
+      }
+
+      // Новый набор файлов — старые результаты анализа больше не годятся.
+      stitchPrepCache = null;
+      updateLabel();
+      refreshResumeBanner();
+    };
+
+    fileInput.addEventListener("change", () => onFilesChosen(fileInput));
+    if (folderInput) {
+      folderInput.addEventListener("change", () => onFilesChosen(folderInput));
+    }
     updateLabel();
   }
 });